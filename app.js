@@ -1,23 +1,81 @@
 /*
   HAZID Workshop Table App
-  - Data model with hazards, causes, consequences, measures, recommendations
+  - Data model with hazards, their top events, causes, consequences, measures, recommendations
   - Dynamic rendering with rowspans to align uneven cause/consequence counts
   - CRUD operations with cascading deletes
-  - Copy/paste for items and hazards
-  - Local storage persistence and JSON import/export
+  - Copy/paste for items and hazards, and drag-and-drop moves of items within
+    and between hazards
+  - System clipboard interop: copied hazards paste into other windows and into
+    Excel or Word as a table; pasted lines become one item each
+  - Initial, current and residual risk ranking per consequence, with the
+    current risk ranked per severity category
+  - Editable risk matrix with configurable levels and severity categories,
+    presets, and level remapping when the matrix is replaced
+  - Semi-quantitative risk index from numeric likelihood and severity values,
+    with risk index bands that generate the matrix
+  - Risk heat map of the study per severity category, filtering the Hazards table
+  - Search and filter bar for the Hazards table, with highlighted matches and
+    export of the filtered hazards
+  - Hazard sorting by worst risk, severity, open recommendations or title,
+    keeping the manual order, with a worst-risk badge per hazard
+  - Action tracker: numbered recommendations with priority, due date and status,
+    linked to the causes, consequences and measures they address
+  - Study-level barrier register shared by the prevention and mitigation measures,
+    with barrier type, effectiveness, independence, owner and status
+  - Escalation factors under each measure, with the controls defending the barrier
+  - Undo/redo history of document edits
+  - Incremental Hazards table rendering: an edit re-renders only its hazard's row,
+    and rows away from the viewport are rendered as they scroll into view
+    (benchmark-1000-hazards.json is a 1000-hazard study to try it on)
+  - Spreadsheet-style keyboard navigation and item shortcuts in the Hazards
+    table, with a shortcut cheat sheet
+  - Multiple studies with metadata, each stored separately in local storage
+  - Guideword checklist library for seeding hazards and tracking coverage per node
+  - Local storage persistence and JSON import/export with a versioned,
+    validated document schema
+  - Excel export, and import of the exported HAZID sheet
 */
 
 ;(function () {
-  const STORAGE_KEY = 'hazid_v1';
+  const STORAGE_KEY = 'hazid_v1'; // single-study storage used before studies existed
+  const STUDY_INDEX_KEY = 'hazid_studies';
+  const STUDY_KEY_PREFIX = 'hazid_study_';
+  const MATRIX_PRESETS_KEY = 'hazid_matrix_presets'; // company risk matrix presets, shared by all studies
 
   /**
    * Data Types (JS Doc for readability)
-   * Hazard = { id, title, description, causes: Cause[], consequences: Consequence[], recommendations: Recommendation[] }
-   * Cause = { id, text, preventionMeasures: Measure[] }
-   * Consequence = { id, text, mitigationMeasures: Measure[], risk: Risk }
-   * Recommendation = { id, action, responsible }
-   * Measure = { id, text }
-   * Risk = { severityCategory, severityLevel, likelihoodLevel, riskScore }
+   * Node = { id, name, collapsed }
+   * Hazard = { id, nodeId, guidewordId?, title, description, topEvents: TopEvent[], causes: Cause[], consequences: Consequence[],
+   *            recommendations: Recommendation[] }
+   * TopEvent = { id, text } (the loss of control at the bow-tie knot; a hazard has at least one)
+   * Cause = { id, topEventId, text, preventionMeasures: Measure[] }
+   * Consequence = { id, topEventId, text, mitigationMeasures: Measure[], categoryRisks: Risk[], risk: Risk, initialRisk: RiskRanking, residualRisk: RiskRanking }
+   *   (topEventId names one of the hazard's top events; '' stands for the first)
+   * Recommendation = { id, number, action, responsible, priority: 'high' | 'medium' | 'low', dueDate,
+   *                    status: 'open' | 'in-progress' | 'closed' | 'rejected', closureComment, closureEvidence,
+   *                    links: { type: 'cause' | 'consequence' | 'measure', id }[] }
+   *                  (number is unique within the study and shown as R-001; dueDate is YYYY-MM-DD or '';
+   *                   links point at causes, consequences and measures of the same hazard)
+   * Measure = { id, barrierId, escalationFactors: EscalationFactor[] } (barrierId is '' until a barrier is chosen)
+   * EscalationFactor = { id, text, controls: { id, text }[] } (condition degrading the measure's barrier,
+   *                    with the controls that defend against it)
+   * Barrier = { id, name, description, type, effectiveness, independence, owner, status }
+   *           (register entry shared by every measure that references it; type, effectiveness,
+   *            independence and status hold one of the BARRIER_ATTRIBUTES values or '' when not set)
+   * Risk = { severityCategory, severityLevel, likelihoodLevel, riskScore } (current risk, with existing measures);
+   *        categoryRisks holds one per severity category and risk is a copy of the worst of them
+   * RiskRanking = { severityLevel, likelihoodLevel, riskScore } (initial risk before any measures, and
+   *               target/residual risk once recommendations are implemented; category shared with Risk)
+   * RiskMatrix = { likelihood: { id, label, description, value? }[], severity: { id, label, description, value? }[],
+   *                severityCategories, severityDescriptions, riskLevels: { id, label, color, minIndex? }[], matrix }
+   *              (value is a frequency per year or severity weight; minIndex bands the risk index value × value)
+   * StudyMeta = { name, facility, node, revision, date, facilitator, scribe }
+   * Guideword = { id, category, name, description, causes: string[], consequences: string[] }
+   * GuidewordLibrary = { name, guidewords: Guideword[] }
+   * GuidewordReview = { nodeId, guidewordId, status: 'pending' | 'considered' | 'not-applicable', comment }
+   * Document = { schemaVersion, study: StudyMeta, nodes: Node[], hazards: Hazard[], barriers: Barrier[], riskMatrix?, bowtieColors?,
+   *              guidewordLibrary: GuidewordLibrary, guidewordReviews: GuidewordReview[] }
+   * StudyIndex = { activeStudyId, compactMode, studies: { id, name, updatedAt }[] }
    */
 
   // Utilities
@@ -60,93 +118,78 @@
   }
 
   // Persistence
+  // Each study document is stored under its own key; the study index lists
+  // them and remembers the active study and UI preferences.
   const persist = {
-    load() {
+    read(key) {
       try {
-        const raw = localStorage.getItem(STORAGE_KEY);
-        if (!raw) return [];
-        const data = JSON.parse(raw);
-        return Array.isArray(data) ? data : [];
+        const raw = localStorage.getItem(key);
+        if (!raw) return null;
+        return JSON.parse(raw);
       } catch (e) {
         console.error('Failed to load data', e);
-        return [];
+        return null;
       }
     },
-    save(hazards) {
+    write(key, data) {
       try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(hazards));
+        localStorage.setItem(key, JSON.stringify(data));
       } catch (e) {
         console.error('Failed to save data', e);
       }
+    },
+    loadIndex() {
+      return this.read(STUDY_INDEX_KEY);
+    },
+    saveIndex(index) {
+      this.write(STUDY_INDEX_KEY, index);
+    },
+    load(studyId) {
+      return this.read(STUDY_KEY_PREFIX + studyId);
+    },
+    save(studyId, doc) {
+      this.write(STUDY_KEY_PREFIX + studyId, doc);
+    },
+    remove(studyId) {
+      localStorage.removeItem(STUDY_KEY_PREFIX + studyId);
+    },
+    stashRejected(studyId, data) {
+      this.write(`${STUDY_KEY_PREFIX}${studyId}_rejected`, data);
     }
   };
 
+  // Filter bar of the Hazards tab; exportFiltered limits the exports to the hazards shown
+  const createHazardFilter = () => ({
+    text: '', riskLevel: '', severityCategory: '', likelihoodLevel: '', responsible: '', gaps: '', exportFiltered: false
+  });
+
   // App State
   const state = {
+    studyId: null, // id of the open study
+    studies: [], // study index entries: { id, name, updatedAt }
+    study: createStudyMeta(),
+    nodes: [], // nodes/systems grouping the hazards, in display order
     hazards: [],
+    barriers: [], // barrier register referenced by the measures
+    guidewordLibrary: createDefaultGuidewordLibrary(),
+    guidewordReviews: [], // per-node outcome of walking through each guideword
+    guidewordNodeId: null, // node shown in the Guidewords tab
+    riskMatrixPaint: '', // risk level set by clicking matrix cells; '' cycles through the levels
+    actionFilter: { status: '', priority: '', text: '' }, // Actions tab filters
+    actionSort: { sortKey: 'number', sortDirection: 1 }, // Actions tab column sort; 1 ascending, -1 descending
+    heatMapCategory: '', // severity category shown in the risk heat map; '' is the overall (worst) risk
+    riskFilter: null, // heat map cell filtering the Hazards table: { likelihoodLevel, severityLevel, severityCategory }
+    hazardFilter: createHazardFilter(), // Hazards tab filter bar
+    hazardSort: '', // HAZARD_SORTS id ordering the Hazards table and Excel export; '' keeps the manual order
+    barrierFilter: { text: '', type: '', effectiveness: '', independence: '', status: '' }, // Barriers tab filters
+    bowtieHazardIndex: null, // hazard shown in the bow-tie modal
+    bowtieTopEventId: '', // top event at the knot of that bow-tie ('' = the hazard's first)
+    bowtieMeasureColoring: '', // barrier attribute colouring the bow-tie measures; '' uses the measure colour
     autosave: true,
     compactMode: false,
     clipboard: null, // holds a copied item or hazard
     bowtieColors: null, // holds custom bow-tie diagram colors
-    riskMatrix: {
-      likelihood: [
-        { id: 'A', label: 'A', description: 'Very unlikely' },
-        { id: 'B', label: 'B', description: 'Unlikely' },
-        { id: 'C', label: 'C', description: 'Possible' },
-        { id: 'D', label: 'D', description: 'Likely' },
-        { id: 'E', label: 'E', description: 'Very likely' }
-      ],
-      severity: [
-        { id: '1', label: '1', description: 'Negligible effect', category: 'personnel' },
-        { id: '2', label: '2', description: 'Minor effect', category: 'personnel' },
-        { id: '3', label: '3', description: 'Moderate effect', category: 'personnel' },
-        { id: '4', label: '4', description: 'Major effect', category: 'personnel' },
-        { id: '5', label: '5', description: 'Severest effect', category: 'personnel' }
-      ],
-      severityDescriptions: {
-        '1': {
-          personnel: 'Minor injury, no lost time',
-          asset: 'Minor damage, easily repairable',
-          environmental: 'Minimal environmental impact',
-          reputation: 'No reputation impact',
-          operation: 'No operational impact'
-        },
-        '2': {
-          personnel: 'Minor injury, some lost time',
-          asset: 'Moderate damage, repairable',
-          environmental: 'Minor environmental impact',
-          reputation: 'Minor local reputation impact',
-          operation: 'Minor operational disruption'
-        },
-        '3': {
-          personnel: 'Serious injury, significant lost time',
-          asset: 'Major damage, expensive repair',
-          environmental: 'Moderate environmental impact',
-          reputation: 'Moderate reputation impact',
-          operation: 'Moderate operational disruption'
-        },
-        '4': {
-          personnel: 'Major injury, permanent disability',
-          asset: 'Severe damage, major repair cost',
-          environmental: 'Major environmental impact',
-          reputation: 'Major reputation impact',
-          operation: 'Major operational disruption'
-        },
-        '5': {
-          personnel: 'Multiple fatalities',
-          asset: 'Total loss of facility',
-          environmental: 'Permanent environmental damage',
-          reputation: 'Major international effect',
-          operation: 'Loss of operation up to a year'
-        }
-      },
-      riskLevels: [
-        { id: 'low', label: 'Low', color: '#28a745' },
-        { id: 'medium', label: 'Medium', color: '#ffc107' },
-        { id: 'high', label: 'High', color: '#dc3545' }
-      ],
-      matrix: {} // will be computed from likelihood × severity
-    }
+    riskMatrix: createDefaultRiskMatrix()
   };
 
   // Risk helpers
@@ -157,6 +200,24 @@
     return riskLevel ? riskLevel.label : '';
   };
 
+  // Semi-quantitative risk index: likelihood frequency times severity weight,
+  // available when both levels have a numeric value
+  const computeRiskIndex = (severityLevel, likelihoodLevel, riskMatrix = state.riskMatrix) => {
+    const severity = riskMatrix.severity.find(s => s.id === severityLevel);
+    const likelihood = riskMatrix.likelihood.find(l => l.id === likelihoodLevel);
+    if (!Number.isFinite(severity?.value) || !Number.isFinite(likelihood?.value)) return null;
+    return Number((likelihood.value * severity.value).toPrecision(12));
+  };
+
+  const formatRiskIndex = index => (index === null ? '' : String(Number(index.toPrecision(3))));
+
+  // Risk level label followed by the numeric risk index when there is one, e.g. "Medium (0.5)"
+  const describeRiskScore = (ranking) => {
+    const label = computeRiskScore(ranking.severityLevel, ranking.likelihoodLevel);
+    const index = computeRiskIndex(ranking.severityLevel, ranking.likelihoodLevel);
+    return index === null ? label : `${label} (${formatRiskIndex(index)})`.trim();
+  };
+
   const getRiskLevelColor = (severityLevel, likelihoodLevel) => {
     if (!severityLevel || !likelihoodLevel) return '';
     const key = `${likelihoodLevel}-${severityLevel}`;
@@ -171,78 +232,666 @@
     return riskLevel ? riskLevel.label : '';
   };
 
-  const updateRiskMatrix = () => {
-    state.riskMatrix.matrix = {};
+  // Position of the cell's risk level in riskLevels (ordered low to high); -1 when unranked
+  const getRiskRank = (severityLevel, likelihoodLevel) => {
+    if (!severityLevel || !likelihoodLevel) return -1;
+    const riskLevel = state.riskMatrix.matrix[`${likelihoodLevel}-${severityLevel}`];
+    return riskLevel ? state.riskMatrix.riskLevels.findIndex(r => r.id === riskLevel.id) : -1;
+  };
+
+  // Severity categories come from the risk matrix; rankings may still name a category
+  // that a later matrix dropped, which is flagged rather than discarded
+  const getSeverityCategories = () => state.riskMatrix.severityCategories || [];
+  const getSeverityCategory = (categoryId) => getSeverityCategories().find(c => c.id === categoryId);
+  const getSeverityCategoryLabel = (categoryId) => getSeverityCategory(categoryId)?.label || categoryId || '';
+
+  // Category rankings whose category is not in the current risk matrix
+  const findRemovedCategoryRankings = () => {
+    const found = [];
+    state.hazards.forEach((hazard) => {
+      hazard.consequences.forEach((consequence) => {
+        (consequence.categoryRisks || []).forEach((ranking) => {
+          if (ranking.severityCategory && !getSeverityCategory(ranking.severityCategory)) found.push({ hazard, consequence, ranking });
+        });
+      });
+    });
+    return found;
+  };
+
+  // Rankings kept per consequence, from unmitigated to target/residual
+  const RISK_STAGES = [
+    { key: 'initialRisk', label: 'Initial' },
+    { key: 'risk', label: 'Current' },
+    { key: 'residualRisk', label: 'Residual' }
+  ];
+
+  // "Initial → Residual" risk level labels, using the current risk for a missing end; '' when nothing to compare
+  const describeRiskReduction = (consequence) => {
+    const ranked = RISK_STAGES
+      .map(({ key }) => consequence[key])
+      .filter(r => r && getRiskRank(r.severityLevel, r.likelihoodLevel) >= 0);
+    if (ranked.length < 2) return '';
+    const first = ranked[0];
+    const last = ranked[ranked.length - 1];
+    return `${getRiskLevel(first.severityLevel, first.likelihoodLevel)} → ${getRiskLevel(last.severityLevel, last.likelihoodLevel)}`;
+  };
+
+  // Copy the worst category ranking into consequence.risk; the first ranking stands in while none is complete
+  const syncConsequenceRisk = (consequence) => {
+    const rankings = consequence.categoryRisks || [];
+    let worst = rankings[0];
+    let worstRank = -1;
+    rankings.forEach((ranking) => {
+      ranking.riskScore = computeRiskScore(ranking.severityLevel, ranking.likelihoodLevel);
+      const rank = getRiskRank(ranking.severityLevel, ranking.likelihoodLevel);
+      if (rank > worstRank) { worst = ranking; worstRank = rank; }
+    });
+    consequence.risk = worst ? { ...worst } : createRisk();
+  };
+
+  // Highest risk level among the consequences of the given hazards, or null when none is ranked
+  const getWorstRiskLevel = (hazardList) => {
+    let worst = -1;
+    hazardList.forEach((hazard) => {
+      hazard.consequences.forEach((cons) => {
+        worst = Math.max(worst, getRiskRank(cons.risk?.severityLevel, cons.risk?.likelihoodLevel));
+      });
+    });
+    return worst >= 0 ? state.riskMatrix.riskLevels[worst] : null;
+  };
+
+  // Risk levels with a minimum risk index band the numeric index
+  const hasRiskBands = riskMatrix =>
+    riskMatrix.riskLevels.some(r => Number.isFinite(r.minIndex)) &&
+    [...riskMatrix.likelihood, ...riskMatrix.severity].every(level => Number.isFinite(level.value));
+
+  const getBandedRiskLevel = (riskMatrix, index) => {
+    let banded = riskMatrix.riskLevels[0];
+    riskMatrix.riskLevels.forEach((level) => {
+      if (Number.isFinite(level.minIndex) && index >= level.minIndex) banded = level;
+    });
+    return banded;
+  };
+
+  const updateRiskMatrix = (riskMatrix = state.riskMatrix, bands = [0.4, 0.7]) => {
+    riskMatrix.matrix = {};
+    if (hasRiskBands(riskMatrix)) {
+      riskMatrix.likelihood.forEach(lik => riskMatrix.severity.forEach((sev) => {
+        riskMatrix.matrix[`${lik.id}-${sev.id}`] = getBandedRiskLevel(riskMatrix, computeRiskIndex(sev.id, lik.id, riskMatrix));
+      }));
+      return;
+    }
+
     // Default risk assignment: higher likelihood + higher severity = higher risk
-    state.riskMatrix.likelihood.forEach((lik, li) => {
-      state.riskMatrix.severity.forEach((sev, si) => {
+    riskMatrix.likelihood.forEach((lik, li) => {
+      riskMatrix.severity.forEach((sev, si) => {
         const key = `${lik.id}-${sev.id}`;
-        let riskLevel = state.riskMatrix.riskLevels[0]; // default to low
         
-        // Simple risk calculation: sum of indices
+        // Simple risk calculation: sum of indices, one band threshold per level above low
         const riskSum = li + si;
-        const maxSum = (state.riskMatrix.likelihood.length - 1) + (state.riskMatrix.severity.length - 1);
-        const riskRatio = riskSum / maxSum;
+        const maxSum = (riskMatrix.likelihood.length - 1) + (riskMatrix.severity.length - 1);
+        const riskRatio = maxSum > 0 ? riskSum / maxSum : 0;
+        const band = bands.filter(threshold => riskRatio >= threshold).length;
         
-        if (riskRatio >= 0.7) riskLevel = state.riskMatrix.riskLevels[2]; // high
-        else if (riskRatio >= 0.4) riskLevel = state.riskMatrix.riskLevels[1]; // medium
-        
-        state.riskMatrix.matrix[key] = riskLevel;
+        riskMatrix.matrix[key] = riskMatrix.riskLevels[Math.min(band, riskMatrix.riskLevels.length - 1)];
       });
     });
   };
 
   // Model factories
-  const createHazard = () => ({
+  const createNode = (name = 'New node') => ({ id: generateId(), name, collapsed: false });
+
+  const createHazard = (nodeId = '') => ({
     id: generateId(),
+    nodeId,
     title: '',
     description: '',
+    topEvents: [createTopEvent()],
     causes: [],
     consequences: [],
     recommendations: []
   });
 
-  const createCause = () => ({ id: generateId(), text: '', preventionMeasures: [] });
-  const createConsequence = () => ({ id: generateId(), text: '', mitigationMeasures: [], risk: { severityCategory: '', severityLevel: '', likelihoodLevel: '', riskScore: '' } });
-  const createMeasure = () => ({ id: generateId(), text: '' });
-  const createRecommendation = () => ({ id: generateId(), action: '', responsible: '' });
+  const createTopEvent = (text = '') => ({ id: generateId(), text });
+  const createCause = (topEventId = '') => ({ id: generateId(), topEventId, text: '', preventionMeasures: [] });
+  const createRisk = () => ({ severityCategory: '', severityLevel: '', likelihoodLevel: '', riskScore: '' });
+  const createRiskRanking = () => ({ severityLevel: '', likelihoodLevel: '', riskScore: '' });
+  const createConsequence = (topEventId = '') => ({
+    id: generateId(),
+    topEventId,
+    text: '',
+    mitigationMeasures: [],
+    categoryRisks: [createRisk()],
+    risk: createRisk(),
+    initialRisk: createRiskRanking(),
+    residualRisk: createRiskRanking()
+  });
+  const createMeasure = (barrierId = '') => ({ id: generateId(), barrierId, escalationFactors: [] });
+  const createEscalationFactor = (text = '') => ({ id: generateId(), text, controls: [] });
+  const createEscalationControl = (text = '') => ({ id: generateId(), text });
+  const createBarrier = (name = '') => ({
+    id: generateId(),
+    name,
+    description: '',
+    type: '',
+    effectiveness: '',
+    independence: '',
+    owner: '',
+    status: ''
+  });
+  const createRecommendation = (number = nextRecommendationNumber()) => ({
+    id: generateId(),
+    number,
+    action: '',
+    responsible: '',
+    priority: 'medium',
+    dueDate: '',
+    status: 'open',
+    closureComment: '',
+    closureEvidence: '',
+    links: []
+  });
 
-  // Initialization
-  function init() {
-    const saved = persist.load();
-    if (saved && saved.hazards) {
-      state.hazards = saved.hazards;
-      if (saved.riskMatrix) {
-        state.riskMatrix = { ...state.riskMatrix, ...saved.riskMatrix };
+  function createStudyMeta() {
+    return { name: 'Untitled study', facility: '', node: '', revision: '', date: '', facilitator: '', scribe: '' };
+  }
+
+  const createStarterHazard = (nodeId) => {
+    const hz = createHazard(nodeId);
+    hz.title = 'New hazard';
+    hz.causes.push(createCause());
+    hz.consequences.push(createConsequence());
+    hz.recommendations.push(createRecommendation());
+    return hz;
+  };
+
+  // Top event a cause or consequence belongs to; unset or unknown ids fall back to the first
+  const topEventOf = (hazard, item) => hazard.topEvents.find(t => t.id === item.topEventId) || hazard.topEvents[0];
+
+  // Causes or consequences (`key`) of one top event, in table order
+  const itemsOfTopEvent = (hazard, topEvent, key) => hazard[key].filter(item => topEventOf(hazard, item) === topEvent);
+
+  // Document schema
+  // Saved and exported files are { schemaVersion, hazards, riskMatrix?, ... }.
+  // Version 1 is the unversioned hazid_v1 format: either a bare hazard array
+  // or an object without schemaVersion. Older documents are migrated step by
+  // step and then validated before they replace the current state.
+  const SCHEMA_VERSION = 14;
+
+  // Keyed by the version each migration upgrades from
+  const documentMigrations = {
+    1: (data) => {
+      const doc = Array.isArray(data) ? { hazards: data } : { ...data };
+      // The v1 app filled these in lazily while rendering, so files may lack them
+      if (Array.isArray(doc.hazards)) {
+        doc.hazards.forEach((hazard) => {
+          if (!isPlainObject(hazard)) return;
+          if (hazard.description === undefined) hazard.description = '';
+          if (hazard.recommendations === undefined) hazard.recommendations = [];
+          (Array.isArray(hazard.causes) ? hazard.causes : []).forEach((cause) => {
+            if (isPlainObject(cause) && cause.preventionMeasures === undefined) cause.preventionMeasures = [];
+          });
+          (Array.isArray(hazard.consequences) ? hazard.consequences : []).forEach((cons) => {
+            if (!isPlainObject(cons)) return;
+            if (cons.mitigationMeasures === undefined) cons.mitigationMeasures = [];
+            if (cons.risk === undefined) cons.risk = { severityCategory: '', severityLevel: '', likelihoodLevel: '', riskScore: '' };
+          });
+        });
+      }
+      if (isPlainObject(doc.riskMatrix)) doc.riskMatrix = { ...createDefaultRiskMatrix(), ...doc.riskMatrix };
+      doc.schemaVersion = 2;
+      return doc;
+    },
+    // Version 3 adds study metadata
+    2: (doc) => ({ ...doc, schemaVersion: 3, study: createStudyMeta() }),
+    // Version 4 groups hazards into nodes; existing hazards go into a single node
+    3: (doc) => {
+      const node = createNode((isPlainObject(doc.study) && doc.study.node) || 'General');
+      const hazards = Array.isArray(doc.hazards) ? doc.hazards.map(h => (isPlainObject(h) ? { ...h, nodeId: node.id } : h)) : doc.hazards;
+      return { ...doc, schemaVersion: 4, nodes: [node], hazards };
+    },
+    // Version 5 adds the guideword library and per-node guideword coverage
+    4: (doc) => ({ ...doc, schemaVersion: 5, guidewordLibrary: createDefaultGuidewordLibrary(), guidewordReviews: [] }),
+    // Version 6 adds initial and residual rankings next to the current risk
+    5: (doc) => {
+      const hazards = Array.isArray(doc.hazards) ? doc.hazards : [];
+      hazards.forEach((hz) => {
+        (Array.isArray(hz?.consequences) ? hz.consequences : []).forEach((cons) => {
+          if (!isPlainObject(cons)) return;
+          if (cons.initialRisk === undefined) cons.initialRisk = createRiskRanking();
+          if (cons.residualRisk === undefined) cons.residualRisk = createRiskRanking();
+        });
+      });
+      return { ...doc, schemaVersion: 6, hazards };
+    },
+    // Version 7 ranks each consequence per severity category; the single risk becomes the first ranking
+    6: (doc) => {
+      const hazards = Array.isArray(doc.hazards) ? doc.hazards : [];
+      hazards.forEach((hz) => {
+        (Array.isArray(hz?.consequences) ? hz.consequences : []).forEach((cons) => {
+          if (isPlainObject(cons) && cons.categoryRisks === undefined) {
+            cons.categoryRisks = [isPlainObject(cons.risk) ? { ...cons.risk } : createRisk()];
+          }
+        });
+      });
+      return { ...doc, schemaVersion: 7, hazards };
+    },
+    // Version 8 stores the severity categories in the risk matrix
+    7: (doc) => {
+      if (isPlainObject(doc.riskMatrix) && doc.riskMatrix.severityCategories === undefined) {
+        return { ...doc, schemaVersion: 8, riskMatrix: { ...doc.riskMatrix, severityCategories: createDefaultRiskMatrix().severityCategories } };
+      }
+      return { ...doc, schemaVersion: 8 };
+    },
+    // Version 9 tracks recommendations as numbered actions with priority, due date and status
+    8: (doc) => {
+      const hazards = Array.isArray(doc.hazards) ? doc.hazards : [];
+      hazards.forEach((hz) => {
+        (Array.isArray(hz?.recommendations) ? hz.recommendations : []).forEach((reco) => {
+          if (!isPlainObject(reco)) return;
+          Object.entries(createRecommendation(0)).forEach(([key, value]) => {
+            if (reco[key] === undefined) reco[key] = value;
+          });
+        });
+      });
+      numberRecommendations(hazards.filter(isPlainObject));
+      return { ...doc, schemaVersion: 9, hazards };
+    },
+    // Version 10 links recommendations to the causes, consequences and measures they address
+    9: (doc) => {
+      const hazards = Array.isArray(doc.hazards) ? doc.hazards : [];
+      hazards.forEach((hz) => {
+        (Array.isArray(hz?.recommendations) ? hz.recommendations : []).forEach((reco) => {
+          if (isPlainObject(reco) && reco.links === undefined) reco.links = [];
+        });
+      });
+      return { ...doc, schemaVersion: 10, hazards };
+    },
+    // Version 11 moves measure texts into a barrier register; identical wordings share one barrier
+    10: (doc) => {
+      const hazards = Array.isArray(doc.hazards) ? doc.hazards : [];
+      const barriers = [];
+      const toBarrier = (measure) => {
+        if (!isPlainObject(measure)) return measure;
+        const { text, ...rest } = measure;
+        const name = typeof text === 'string' ? text.trim() : '';
+        return { ...rest, barrierId: name ? barrierForName(name, barriers).id : '' };
+      };
+      hazards.forEach((hz) => {
+        (Array.isArray(hz?.causes) ? hz.causes : []).forEach((cause) => {
+          if (isPlainObject(cause) && Array.isArray(cause.preventionMeasures)) cause.preventionMeasures = cause.preventionMeasures.map(toBarrier);
+        });
+        (Array.isArray(hz?.consequences) ? hz.consequences : []).forEach((cons) => {
+          if (isPlainObject(cons) && Array.isArray(cons.mitigationMeasures)) cons.mitigationMeasures = cons.mitigationMeasures.map(toBarrier);
+        });
+      });
+      return { ...doc, schemaVersion: 11, hazards, barriers };
+    },
+    // Version 12 adds barrier attributes
+    11: (doc) => {
+      const barriers = Array.isArray(doc.barriers) ? doc.barriers : [];
+      barriers.forEach((barrier) => {
+        if (!isPlainObject(barrier)) return;
+        Object.entries(createBarrier()).forEach(([key, value]) => {
+          if (barrier[key] === undefined) barrier[key] = value;
+        });
+      });
+      return { ...doc, schemaVersion: 12, barriers };
+    },
+    // Version 13 adds escalation factors under measures
+    12: (doc) => {
+      const hazards = Array.isArray(doc.hazards) ? doc.hazards : [];
+      const addFactors = (measures) => {
+        (Array.isArray(measures) ? measures : []).forEach((measure) => {
+          if (isPlainObject(measure) && measure.escalationFactors === undefined) measure.escalationFactors = [];
+        });
+      };
+      hazards.forEach((hz) => {
+        (Array.isArray(hz?.causes) ? hz.causes : []).forEach(cause => addFactors(cause?.preventionMeasures));
+        (Array.isArray(hz?.consequences) ? hz.consequences : []).forEach(cons => addFactors(cons?.mitigationMeasures));
+      });
+      return { ...doc, schemaVersion: 13, hazards };
+    },
+    // Version 14 separates the top event from the hazard; existing causes and consequences share one top event
+    13: (doc) => {
+      const hazards = Array.isArray(doc.hazards) ? doc.hazards : [];
+      hazards.forEach((hz) => {
+        if (!isPlainObject(hz)) return;
+        if (hz.topEvents === undefined) hz.topEvents = [createTopEvent()];
+        [hz.causes, hz.consequences].forEach((items) => {
+          (Array.isArray(items) ? items : []).forEach((item) => {
+            if (isPlainObject(item) && item.topEventId === undefined) item.topEventId = '';
+          });
+        });
+      });
+      return { ...doc, schemaVersion: 14, hazards };
+    }
+  };
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function detectSchemaVersion(data) {
+    if (Array.isArray(data)) return 1;
+    if (!isPlainObject(data)) throw new Error('File does not contain a HAZID document');
+    if (data.schemaVersion === undefined) return 1;
+    if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+      throw new Error(`Invalid schemaVersion: ${JSON.stringify(data.schemaVersion)}`);
+    }
+    if (data.schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`File uses schema version ${data.schemaVersion}, but this app only supports up to version ${SCHEMA_VERSION}`);
+    }
+    return data.schemaVersion;
+  }
+
+  function migrateDocument(data) {
+    let doc = deepClone(data);
+    for (let version = detectSchemaVersion(doc); version < SCHEMA_VERSION; version += 1) {
+      doc = documentMigrations[version](doc);
+    }
+    return doc;
+  }
+
+  // Collects "path: problem" strings; ids must be unique across everything checked
+  function createValidator() {
+    const errors = [];
+    const seenIds = new Map();
+    const fail = (path, message) => errors.push(`${path}: ${message}`);
+    const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+    const checkString = (obj, key, path) => {
+      if (typeof obj[key] !== 'string') fail(joinPath(path, key), obj[key] === undefined ? 'is missing' : 'must be a string');
+    };
+    const checkId = (obj, path) => {
+      if (typeof obj.id !== 'string' || obj.id === '') {
+        fail(`${path}.id`, obj.id === undefined ? 'is missing' : 'must be a non-empty string');
+      } else if (seenIds.has(obj.id)) {
+        fail(`${path}.id`, `duplicates the id "${obj.id}" of ${seenIds.get(obj.id)}`);
+      } else {
+        seenIds.set(obj.id, path);
+      }
+    };
+    const checkList = (obj, key, path, checkItem) => {
+      const list = obj[key];
+      const listPath = joinPath(path, key);
+      if (!Array.isArray(list)) {
+        fail(listPath, list === undefined ? 'is missing' : 'must be an array');
+        return;
+      }
+      list.forEach((item, i) => {
+        const itemPath = `${listPath}[${i}]`;
+        if (!isPlainObject(item)) fail(itemPath, 'must be an object');
+        else checkItem(item, itemPath);
+      });
+    };
+    const checkStringList = (obj, key, path) => {
+      const list = obj[key];
+      const listPath = joinPath(path, key);
+      if (!Array.isArray(list)) fail(listPath, list === undefined ? 'is missing' : 'must be an array');
+      else list.forEach((item, i) => { if (typeof item !== 'string') fail(`${listPath}[${i}]`, 'must be a string'); });
+    };
+
+    return { errors, fail, checkString, checkId, checkList, checkStringList };
+  }
+
+  // Returns a list of "path: problem" strings; an empty list means the document is valid
+  function validateDocument(doc) {
+    const validator = createValidator();
+    const { errors, fail, checkString, checkId, checkList } = validator;
+
+    if (!isPlainObject(doc)) return ['document: must be an object'];
+    if (doc.schemaVersion !== SCHEMA_VERSION) fail('schemaVersion', `must be ${SCHEMA_VERSION}`);
+
+    if (isPlainObject(doc.study)) Object.keys(createStudyMeta()).forEach(key => checkString(doc.study, key, 'study'));
+    else fail('study', doc.study === undefined ? 'is missing' : 'must be an object');
+
+    if (doc.riskMatrix !== undefined) {
+      if (isPlainObject(doc.riskMatrix)) validateRiskMatrix(doc.riskMatrix, 'riskMatrix', validator);
+      else fail('riskMatrix', 'must be an object');
+    }
+    const matrix = isPlainObject(doc.riskMatrix) ? doc.riskMatrix : state.riskMatrix;
+    const levelIds = (levels) => new Set((Array.isArray(levels) ? levels : []).map(l => l && l.id));
+    const likelihoodIds = levelIds(matrix.likelihood);
+    const severityIds = levelIds(matrix.severity);
+    const recommendationNumbers = new Set();
+    checkList(doc, 'barriers', '', (barrier, path) => {
+      checkId(barrier, path);
+      ['name', 'description', 'owner'].forEach(key => checkString(barrier, key, path));
+      BARRIER_ATTRIBUTES.forEach(({ key, values }) => {
+        if (!values) return;
+        checkString(barrier, key, path);
+        if (typeof barrier[key] === 'string' && barrier[key] && !values.some(v => v.id === barrier[key])) {
+          fail(`${path}.${key}`, `must be one of ${values.map(v => v.id).join(', ')}`);
+        }
+      });
+    });
+    const barrierIds = new Set((Array.isArray(doc.barriers) ? doc.barriers : []).map(b => b && b.id));
+    const checkMeasure = (measure, path) => {
+      checkId(measure, path);
+      checkString(measure, 'barrierId', path);
+      if (measure.barrierId && !barrierIds.has(measure.barrierId)) fail(`${path}.barrierId`, `unknown barrier "${measure.barrierId}"`);
+      checkList(measure, 'escalationFactors', path, (factor, factorPath) => {
+        checkId(factor, factorPath);
+        checkString(factor, 'text', factorPath);
+        checkList(factor, 'controls', factorPath, (control, controlPath) => {
+          checkId(control, controlPath);
+          checkString(control, 'text', controlPath);
+        });
+      });
+    };
+    // Initial and residual rankings have no category of their own. Categories missing
+    // from the matrix are allowed here; the table flags them for the user to remap.
+    const checkRisk = (risk, path, hasCategory = true) => {
+      const keys = hasCategory ? ['severityCategory', 'severityLevel', 'likelihoodLevel', 'riskScore'] : ['severityLevel', 'likelihoodLevel', 'riskScore'];
+      keys.forEach(key => checkString(risk, key, path));
+      if (risk.severityLevel && !severityIds.has(risk.severityLevel)) {
+        fail(`${path}.severityLevel`, `unknown severity level "${risk.severityLevel}"`);
       }
-      if (saved.compactMode !== undefined) {
-        state.compactMode = saved.compactMode;
+      if (risk.likelihoodLevel && !likelihoodIds.has(risk.likelihoodLevel)) {
+        fail(`${path}.likelihoodLevel`, `unknown likelihood level "${risk.likelihoodLevel}"`);
+      }
+    };
+
+    checkList(doc, 'nodes', '', (node, path) => {
+      checkId(node, path);
+      checkString(node, 'name', path);
+      if (node.collapsed !== undefined && typeof node.collapsed !== 'boolean') fail(`${path}.collapsed`, 'must be a boolean');
+    });
+    const nodeIds = new Set((Array.isArray(doc.nodes) ? doc.nodes : []).map(n => n && n.id));
+
+    checkList(doc, 'hazards', '', (hazard, path) => {
+      checkId(hazard, path);
+      checkString(hazard, 'nodeId', path);
+      if (typeof hazard.nodeId === 'string' && !nodeIds.has(hazard.nodeId)) fail(`${path}.nodeId`, `unknown node "${hazard.nodeId}"`);
+      if (hazard.guidewordId !== undefined) checkString(hazard, 'guidewordId', path);
+      checkString(hazard, 'title', path);
+      checkString(hazard, 'description', path);
+      checkList(hazard, 'topEvents', path, (topEvent, topEventPath) => {
+        checkId(topEvent, topEventPath);
+        checkString(topEvent, 'text', topEventPath);
+      });
+      if (Array.isArray(hazard.topEvents) && hazard.topEvents.length === 0) fail(`${path}.topEvents`, 'must have at least one top event');
+      const topEventIds = new Set((Array.isArray(hazard.topEvents) ? hazard.topEvents : []).map(t => t && t.id));
+      const checkTopEventId = (item, itemPath) => {
+        checkString(item, 'topEventId', itemPath);
+        if (item.topEventId && !topEventIds.has(item.topEventId)) fail(`${itemPath}.topEventId`, `unknown top event "${item.topEventId}"`);
+      };
+      checkList(hazard, 'causes', path, (cause, causePath) => {
+        checkId(cause, causePath);
+        checkTopEventId(cause, causePath);
+        checkString(cause, 'text', causePath);
+        checkList(cause, 'preventionMeasures', causePath, checkMeasure);
+      });
+      checkList(hazard, 'consequences', path, (cons, consPath) => {
+        checkId(cons, consPath);
+        checkTopEventId(cons, consPath);
+        checkString(cons, 'text', consPath);
+        checkList(cons, 'mitigationMeasures', consPath, checkMeasure);
+        RISK_STAGES.forEach(({ key }) => {
+          if (isPlainObject(cons[key])) checkRisk(cons[key], `${consPath}.${key}`, key === 'risk');
+          else fail(`${consPath}.${key}`, cons[key] === undefined ? 'is missing' : 'must be an object');
+        });
+        const rankedCategories = new Set();
+        checkList(cons, 'categoryRisks', consPath, (ranking, rankingPath) => {
+          checkRisk(ranking, rankingPath);
+          if (!ranking.severityCategory) return;
+          if (rankedCategories.has(ranking.severityCategory)) fail(`${rankingPath}.severityCategory`, `"${ranking.severityCategory}" is ranked more than once`);
+          rankedCategories.add(ranking.severityCategory);
+        });
+      });
+      checkList(hazard, 'recommendations', path, (reco, recoPath) => {
+        checkId(reco, recoPath);
+        ['action', 'responsible', 'dueDate', 'closureComment', 'closureEvidence'].forEach(key => checkString(reco, key, recoPath));
+        if (!Number.isInteger(reco.number) || reco.number < 1) fail(`${recoPath}.number`, 'must be a positive whole number');
+        else if (recommendationNumbers.has(reco.number)) fail(`${recoPath}.number`, `${formatRecommendationNumber(reco)} is used more than once`);
+        recommendationNumbers.add(reco.number);
+        if (!RECOMMENDATION_PRIORITIES.includes(reco.priority)) fail(`${recoPath}.priority`, `must be one of ${RECOMMENDATION_PRIORITIES.join(', ')}`);
+        if (!RECOMMENDATION_STATUSES.includes(reco.status)) fail(`${recoPath}.status`, `must be one of ${RECOMMENDATION_STATUSES.join(', ')}`);
+        if (typeof reco.dueDate === 'string' && reco.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(reco.dueDate)) fail(`${recoPath}.dueDate`, 'must be a date as YYYY-MM-DD');
+        // Links to items removed since are ignored rather than rejected
+        checkList(reco, 'links', recoPath, (link, linkPath) => {
+          if (!RECOMMENDATION_LINK_TYPES.includes(link.type)) fail(`${linkPath}.type`, `must be one of ${RECOMMENDATION_LINK_TYPES.join(', ')}`);
+          checkString(link, 'id', linkPath);
+        });
+      });
+    });
+
+    if (isPlainObject(doc.guidewordLibrary)) validateGuidewordLibrary(doc.guidewordLibrary, 'guidewordLibrary', validator);
+    else fail('guidewordLibrary', doc.guidewordLibrary === undefined ? 'is missing' : 'must be an object');
+    const guidewordIds = new Set((Array.isArray(doc.guidewordLibrary?.guidewords) ? doc.guidewordLibrary.guidewords : []).map(g => g && g.id));
+    checkList(doc, 'guidewordReviews', '', (review, path) => {
+      ['nodeId', 'guidewordId', 'status', 'comment'].forEach(key => checkString(review, key, path));
+      if (typeof review.nodeId === 'string' && !nodeIds.has(review.nodeId)) fail(`${path}.nodeId`, `unknown node "${review.nodeId}"`);
+      if (typeof review.guidewordId === 'string' && !guidewordIds.has(review.guidewordId)) fail(`${path}.guidewordId`, `unknown guideword "${review.guidewordId}"`);
+      if (typeof review.status === 'string' && !GUIDEWORD_REVIEW_STATUSES.includes(review.status)) fail(`${path}.status`, `unknown status "${review.status}"`);
+    });
+
+    if (doc.compactMode !== undefined && typeof doc.compactMode !== 'boolean') fail('compactMode', 'must be a boolean');
+    if (doc.bowtieColors != null && !isPlainObject(doc.bowtieColors)) fail('bowtieColors', 'must be an object');
+    return errors;
+  }
+
+  function validateRiskMatrix(riskMatrix, path, { fail, checkString, checkList }) {
+    const checkLevel = (level, levelPath) => {
+      checkString(level, 'id', levelPath);
+      checkString(level, 'label', levelPath);
+    };
+    // Numeric values for semi-quantitative scoring are optional
+    const checkNumber = (level, key, levelPath) => {
+      if (level[key] === undefined) return;
+      if (!Number.isFinite(level[key]) || level[key] < 0) fail(`${levelPath}.${key}`, 'must be a number of at least 0');
+    };
+    const checkScoredLevel = (level, levelPath) => {
+      checkLevel(level, levelPath);
+      checkNumber(level, 'value', levelPath);
+    };
+    checkList(riskMatrix, 'likelihood', path, checkScoredLevel);
+    checkList(riskMatrix, 'severity', path, checkScoredLevel);
+    const categoryIds = new Set();
+    checkList(riskMatrix, 'severityCategories', path, (category, categoryPath) => {
+      checkLevel(category, categoryPath);
+      if (typeof category.id !== 'string') return;
+      if (categoryIds.has(category.id)) fail(`${categoryPath}.id`, `duplicate severity category "${category.id}"`);
+      categoryIds.add(category.id);
+    });
+    checkList(riskMatrix, 'riskLevels', path, (level, levelPath) => {
+      checkLevel(level, levelPath);
+      checkString(level, 'color', levelPath);
+      checkNumber(level, 'minIndex', levelPath);
+    });
+    if (!isPlainObject(riskMatrix.severityDescriptions)) fail(`${path}.severityDescriptions`, 'must be an object');
+    if (!isPlainObject(riskMatrix.matrix)) {
+      fail(`${path}.matrix`, 'must be an object');
+      return;
+    }
+    const ids = (key) => new Set((Array.isArray(riskMatrix[key]) ? riskMatrix[key] : []).map(l => l && l.id));
+    const likelihoodIds = ids('likelihood');
+    const severityIds = ids('severity');
+    const riskLevelIds = ids('riskLevels');
+    Object.entries(riskMatrix.matrix).forEach(([key, level]) => {
+      const [likelihoodId, ...rest] = key.split('-');
+      const severityId = rest.join('-');
+      if (!likelihoodIds.has(likelihoodId) || !severityIds.has(severityId)) {
+        fail(`${path}.matrix["${key}"]`, 'does not match a likelihood-severity pair');
       }
-      if (saved.bowtieColors) {
-        state.bowtieColors = saved.bowtieColors;
+      if (!isPlainObject(level) || !riskLevelIds.has(level.id)) {
+        fail(`${path}.matrix["${key}"]`, 'must be one of the risk levels');
       }
-    } else if (Array.isArray(saved)) {
-      // Legacy format
-      state.hazards = saved;
+    });
+  }
+
+  // Migrate and validate parsed JSON; throws with the full error list when invalid
+  function parseDocument(data) {
+    const doc = migrateDocument(data);
+    const errors = validateDocument(doc);
+    if (errors.length > 0) {
+      const err = new Error(`The document has ${errors.length} error(s):\n${formatIssueList(errors)}`);
+      err.errors = errors;
+      throw err;
     }
-    
-    if (state.hazards.length === 0) {
-      // Create a starter hazard for convenience
-      const hz = createHazard();
-      hz.title = 'New hazard';
-      hz.causes.push(createCause());
-      hz.consequences.push(createConsequence());
-      hz.recommendations.push(createRecommendation());
-      state.hazards.push(hz);
+    return doc;
+  }
+
+  function applyDocument(doc) {
+    if (doc.study) state.study = { ...createStudyMeta(), ...doc.study };
+    state.nodes = doc.nodes;
+    state.hazards = doc.hazards;
+    state.barriers = doc.barriers;
+    if (doc.riskMatrix) {
+      state.riskMatrix = doc.riskMatrix;
+      if (Object.keys(state.riskMatrix.matrix).length === 0) updateRiskMatrix();
     }
+    if (doc.bowtieColors !== undefined) state.bowtieColors = doc.bowtieColors;
+    if (doc.guidewordLibrary) state.guidewordLibrary = doc.guidewordLibrary;
+    if (doc.guidewordReviews) state.guidewordReviews = doc.guidewordReviews;
+  }
+
+  // The parts of state that make up a study document
+  function documentState() {
+    return {
+      study: state.study,
+      nodes: state.nodes,
+      hazards: state.hazards,
+      barriers: state.barriers,
+      riskMatrix: state.riskMatrix,
+      bowtieColors: state.bowtieColors,
+      guidewordLibrary: state.guidewordLibrary,
+      guidewordReviews: state.guidewordReviews
+    };
+  }
+
+  function serializeDocument() {
+    return { schemaVersion: SCHEMA_VERSION, ...documentState() };
+  }
+
+  function formatIssueList(issues, limit = 20) {
+    const shown = issues.slice(0, limit);
+    if (issues.length > shown.length) shown.push(`...and ${issues.length - shown.length} more`);
+    return shown.join('\n');
+  }
+
+  // Initialization
+  function init() {
+    const index = persist.loadIndex() || migrateLegacyStorage();
+    state.studies = index.studies;
+    state.compactMode = !!index.compactMode;
+    const active = state.studies.find(st => st.id === index.activeStudyId) || state.studies[0];
+    loadStudy(active.id);
 
-    updateRiskMatrix();
-    
     const container = byId('table-container');
     container.innerHTML = '';
     renderTable(container);
     renderRiskMatrixConfig();
+    renderStudyPanel();
+    renderGuidewordPanel();
     wireGlobalActions();
+    wireGuidewordActions();
+    wireActionTracker();
+    wireBarrierRegister();
+    wireHazardFilterBar();
+    wireTableKeyboard();
+    wireSystemClipboard();
     
     // Apply compact mode class if enabled
     if (state.compactMode) {
@@ -252,108 +901,638 @@
   }
 
   // Rendering
+  // Re-renders keep the rows whose hazard did not change, so an edit rebuilds only
+  // its own hazard's row and the focus, caret and scroll position stay put. A change
+  // to anything else the rows show rebuilds the whole table.
   function renderTable(container) {
+    barrierUseCounts = countBarrierUses();
+    renderBarrierOptions();
+    renderHazardFilterBar();
+    const context = tableContext();
+    const tbody = qs('.hazid-table tbody', container);
+    if (tbody && isSameTableContext(context, renderedTableContext)) {
+      if (state.riskFilter) qs('.risk-filter-banner', container).replaceWith(renderRiskFilterBanner());
+      updateTableRows(tbody);
+      return;
+    }
+
     const tmpl = byId('hazid-table-template');
     const tableEl = tmpl.content.firstElementChild.cloneNode(true);
-    const tbody = qs('tbody', tableEl);
+    container.innerHTML = '';
+    // A heat map cell filter keeps only hazards with a consequence in that cell
+    if (state.riskFilter) container.append(renderRiskFilterBanner());
+    container.append(tableEl);
+    renderedTableContext = context;
+    clearTableRows();
+    updateTableRows(qs('tbody', tableEl));
+  }
 
-    state.hazards.forEach((hazard, hazardIndex) => {
-      const tr = document.createElement('tr');
+  // Table rows
+  // Each node and hazard row is kept with what it was rendered from. Hazard rows far
+  // from the viewport are empty placeholders of the row's last known height, rendered
+  // when they scroll near it and emptied again once well out of sight.
+  const ROW_RENDER_MARGIN = 800; // px above and below the viewport where hazard rows are rendered
+  const ESTIMATED_LINE_HEIGHT = 90; // px per cause or consequence line of a row not rendered yet
+
+  let renderedTableContext = null;
+  let tableRows = new Map(); // 'node:<id>' or 'hazard:<id>' -> { key, tr, source, signature }, plus index, columnCount and placeholder for hazards
+  const rowRecords = new WeakMap(); // row element -> its tableRows record
+  const rowHeights = new Map(); // hazard id -> last rendered height in px
+  let rowObserver = null;
+
+  const canVirtualizeRows = () => typeof window.IntersectionObserver === 'function';
+
+  // Everything the rows show besides their own node or hazard. A document part that
+  // was replaced (undo, import, another study) counts as a change even when equal,
+  // as the rows' handlers hold on to the old objects.
+  function tableContext() {
+    const { hazards, ...parts } = documentState();
+    return {
+      parts: Object.values(parts),
+      text: JSON.stringify({
+        parts,
+        riskFilter: state.riskFilter,
+        hazardFilter: state.hazardFilter,
+        compactMode: state.compactMode,
+        barrierUses: [...barrierUseCounts],
+        openBarrierDetails: [...openBarrierDetails]
+      })
+    };
+  }
 
-      // Hazard cell
-      const tdHazard = createEl('td');
-      tdHazard.append(renderHazardCell(hazard, hazardIndex));
-      tr.append(tdHazard);
+  const isSameTableContext = (a, b) => !!b && a.text === b.text && a.parts.every((part, i) => part === b.parts[i]);
 
-      // Causes group
-      const tdCause = createEl('td');
-      tdCause.append(renderCauseSegments(hazard, hazardIndex));
-      tr.append(tdCause);
+  // Rendered rows leave their height to the placeholders that take their place
+  function clearTableRows() {
+    tableRows.forEach((record) => {
+      if (record.index !== undefined && !record.placeholder && record.tr.offsetHeight > 0) rowHeights.set(record.source.id, record.tr.offsetHeight);
+    });
+    if (rowObserver) rowObserver.disconnect();
+    tableRows = new Map();
+  }
 
-      const tdCauseMeasures = createEl('td');
-      tdCauseMeasures.append(renderCauseMeasuresSegments(hazard, hazardIndex));
-      tr.append(tdCauseMeasures);
+  // Brings the table body in line with the document: kept rows stay where they are,
+  // changed and new ones are rendered and rows no longer shown are removed
+  function updateTableRows(tbody) {
+    const columnCount = qsa('thead th', tbody.closest('table')).length;
+    const filtered = isTableFiltered();
+    const previous = tableRows;
+    const before = new Set([...previous.values()].map(record => record.tr));
+    const records = [];
+    groupHazardsByNode().forEach(({ node, entries }) => {
+      const shown = entries.filter(({ hazard }) => matchesTableFilters(hazard));
+      if (filtered && shown.length === 0) return;
+      records.push(nodeRowRecord(previous.get(`node:${node.id}`), node, entries, columnCount));
+      if (node.collapsed) return;
+      sortHazardEntries(shown).forEach(({ hazard, index }) => {
+        records.push(hazardRowRecord(previous.get(`hazard:${hazard.id}`), hazard, index, columnCount));
+      });
+    });
+    tableRows = new Map(records.map(record => [record.key, record]));
 
-      // Consequences group
-      const tdConseq = createEl('td');
-      tdConseq.append(renderConsequenceSegments(hazard, hazardIndex));
-      tr.append(tdConseq);
+    const kept = new Set(records.map(record => record.tr));
+    before.forEach((tr) => {
+      if (kept.has(tr)) return;
+      if (rowObserver) rowObserver.unobserve(tr);
+      tr.remove();
+    });
+    let cursor = tbody.firstElementChild;
+    records.forEach(({ tr }) => {
+      if (tr === cursor) cursor = cursor.nextElementSibling;
+      else tbody.insertBefore(tr, cursor);
+    });
 
-      const tdConseqMeasures = createEl('td');
-      tdConseqMeasures.append(renderConsequenceMeasuresSegments(hazard, hazardIndex));
-      tr.append(tdConseqMeasures);
+    const rendered = records.filter(record => !record.placeholder && !before.has(record.tr)).map(record => record.tr);
+    if (records.some(record => record.placeholder && !before.has(record.tr))) rendered.push(...renderRowsNearViewport(tbody));
+    rendered.forEach(highlightFilterMatches);
+    focusPendingItem(tbody);
+    // After the rows are in the DOM, align their paired segments
+    requestAnimationFrame(() => alignSegments(rendered.filter(tr => tr.isConnected)));
+  }
 
-      // Risk columns – segmented aligned to consequences only
-      const tdSevCat = createEl('td');
-      tdSevCat.append(renderRiskSegments(hazard, hazardIndex, 'severityCategory'));
-      tr.append(tdSevCat);
+  function nodeRowRecord(record, node, entries, columnCount) {
+    const worst = getWorstRiskLevel(entries.map(e => e.hazard));
+    const signature = JSON.stringify([state.nodes.indexOf(node), node.collapsed, entries.map(e => e.index), worst && worst.id]);
+    if (record && record.source === node && record.signature === signature) return record;
+    const next = { key: `node:${node.id}`, tr: renderNodeRow(node, entries, columnCount), source: node, signature };
+    rowRecords.set(next.tr, next);
+    return next;
+  }
 
-      const tdSevLvl = createEl('td');
-      tdSevLvl.append(renderRiskSegments(hazard, hazardIndex, 'severityLevel'));
-      tr.append(tdSevLvl);
+  // A rendered row is kept while its hazard is the same object, at the same index and
+  // with the same content; a placeholder only needs the same hazard and index. Rows on
+  // screen are rendered again straight away, new ones once their position is known.
+  function hazardRowRecord(record, hazard, index, columnCount) {
+    if (record && record.source === hazard && record.index === index &&
+      (record.placeholder || record.signature === JSON.stringify(hazard))) return record;
+    const next = { key: `hazard:${hazard.id}`, source: hazard, index, columnCount };
+    const onScreen = record && !record.placeholder;
+    setHazardRow(next, canVirtualizeRows() && !onScreen);
+    return next;
+  }
 
-      const tdLikeLvl = createEl('td');
-      tdLikeLvl.append(renderRiskSegments(hazard, hazardIndex, 'likelihoodLevel'));
-      tr.append(tdLikeLvl);
+  function setHazardRow(record, placeholder) {
+    const hazard = record.source;
+    if (placeholder) {
+      const lines = Math.max(hazard.causes.length, hazard.consequences.length, 2);
+      const td = createEl('td', { colspan: String(record.columnCount) });
+      td.style.height = `${rowHeights.get(hazard.id) || lines * ESTIMATED_LINE_HEIGHT}px`;
+      record.tr = createEl('tr', { class: 'hazard-placeholder', dataset: { hazardIndex: String(record.index) } }, [td]);
+    } else {
+      record.tr = renderHazardRow(hazard, record.index);
+    }
+    record.placeholder = placeholder;
+    record.signature = placeholder ? '' : JSON.stringify(hazard);
+    rowRecords.set(record.tr, record);
+    if (canVirtualizeRows()) observeRow(record.tr);
+  }
 
-      const tdRisk = createEl('td');
-      tdRisk.append(renderRiskSegments(hazard, hazardIndex, 'riskScore', true));
-      tr.append(tdRisk);
+  // Swaps a hazard row between rendered and placeholder in place; returns the new element
+  function swapHazardRow(record, placeholder) {
+    const old = record.tr;
+    if (rowObserver) rowObserver.unobserve(old);
+    setHazardRow(record, placeholder);
+    old.replaceWith(record.tr);
+    return record.tr;
+  }
 
-      // Recommendations and actions (single, full cell each)
-      const tdReco = createEl('td');
-      tdReco.append(renderRecommendationsCell(hazard, hazardIndex));
-      tr.append(tdReco);
+  // The row element of a hazard, rendering it when it is a placeholder
+  function renderedRow(tr) {
+    const record = tr && rowRecords.get(tr);
+    if (!record || !record.placeholder) return tr;
+    const rendered = swapHazardRow(record, false);
+    finishRenderedRows([rendered]);
+    return rendered;
+  }
 
-      const tdActions = createEl('td');
-      tdActions.append(renderHazardActions(hazardIndex));
-      tr.append(tdActions);
+  // Search highlights and aligned segments for rows rendered from placeholders
+  function finishRenderedRows(rows) {
+    rows.forEach(highlightFilterMatches);
+    alignSegments(rows);
+  }
 
-      tbody.append(tr);
+  // Renders the placeholders near the viewport at once so nothing shows up empty; the
+  // observer takes over when scrolling. A hidden table has no positions to go by.
+  function renderRowsNearViewport(tbody) {
+    if (tbody.getClientRects().length === 0) return [];
+    const near = [...tableRows.values()].filter((record) => {
+      if (!record.placeholder) return false;
+      const rect = record.tr.getBoundingClientRect();
+      return rect.bottom > -ROW_RENDER_MARGIN && rect.top < window.innerHeight + ROW_RENDER_MARGIN;
     });
+    return near.map(record => swapHazardRow(record, false));
+  }
 
-    container.append(tableEl);
-    // After the table is in the DOM, align paired segments
-    requestAnimationFrame(() => alignSegments(container));
+  function observeRow(tr) {
+    if (!rowObserver) rowObserver = new IntersectionObserver(onRowsIntersect, { rootMargin: `${ROW_RENDER_MARGIN}px 0px` });
+    rowObserver.observe(tr);
   }
 
-  // Cell renderers
-  function renderHazardCell(hazard, hazardIndex) {
-    const wrap = createEl('div', { class: 'stack' });
-    const title = createEl('input', {
-      type: 'text', value: hazard.title, placeholder: 'Hazard title',
-      oninput: (e) => { hazard.title = e.target.value; scheduleSave(); },
-      onblur: () => { scheduleSaveAndRerender(); }
+  function onRowsIntersect(entries) {
+    const rendered = [];
+    entries.forEach(({ target, isIntersecting, boundingClientRect }) => {
+      const record = rowRecords.get(target);
+      if (!record || record.tr !== target || !target.isConnected) return;
+      if (isIntersecting && record.placeholder) {
+        rendered.push(swapHazardRow(record, false));
+      } else if (!isIntersecting && !record.placeholder && boundingClientRect.height > 0 && !target.contains(document.activeElement)) {
+        // Rows of a hidden tab have no height and stay as they are
+        rowHeights.set(record.source.id, boundingClientRect.height);
+        swapHazardRow(record, true);
+      }
     });
-    const desc = createEl('textarea', {
-      placeholder: 'Hazard description (optional)'
+    finishRenderedRows(rendered);
+  }
+
+  // Printing shows every row
+  window.addEventListener('beforeprint', () => {
+    finishRenderedRows([...tableRows.values()].filter(record => record.placeholder).map(record => swapHazardRow(record, false)));
+  });
+
+  // Hazards filter bar
+  // Full-text search plus risk and action criteria. Hazards meeting every criterion
+  // set are shown, with the matching fields highlighted; the risk criteria must all
+  // hold for one and the same consequence.
+  const HAZARD_GAP_FILTERS = [
+    { id: 'unranked', label: 'Unranked consequences' },
+    { id: 'empty', label: 'Empty fields' }
+  ];
+
+  const isHazardFilterActive = () => {
+    const { text, riskLevel, severityCategory, likelihoodLevel, responsible, gaps } = state.hazardFilter;
+    return !!(text.trim() || riskLevel || severityCategory || likelihoodLevel || responsible || gaps);
+  };
+
+  const hasConsequenceFilter = () => {
+    const { riskLevel, severityCategory, likelihoodLevel } = state.hazardFilter;
+    return !!(riskLevel || severityCategory || likelihoodLevel);
+  };
+
+  const isTableFiltered = () => !!state.riskFilter || isHazardFilterActive();
+
+  const isUnranked = consequence => !consequence.risk || !consequence.risk.severityLevel || !consequence.risk.likelihoodLevel;
+
+  // Every text of the hazard that the search looks at
+  function hazardSearchTexts(hazard) {
+    const measureTexts = measures => measures.flatMap(m => [
+      getMeasureText(m),
+      ...m.escalationFactors.flatMap(f => [f.text, ...f.controls.map(c => c.text)])
+    ]);
+    return [
+      hazard.title,
+      hazard.description,
+      ...hazard.topEvents.map(t => t.text),
+      ...hazard.causes.flatMap(c => [c.text, ...measureTexts(c.preventionMeasures)]),
+      ...hazard.consequences.flatMap(c => [c.text, ...measureTexts(c.mitigationMeasures)]),
+      ...hazard.recommendations.flatMap(r => [formatRecommendationNumber(r), r.action, r.responsible, r.closureComment, r.closureEvidence])
+    ];
+  }
+
+  // Current risk of the consequence in the filtered severity category (the worst category when none is set)
+  function matchesConsequenceFilter(consequence) {
+    const { riskLevel, severityCategory, likelihoodLevel } = state.hazardFilter;
+    const ranking = severityCategory
+      ? (consequence.categoryRisks || []).find(r => r.severityCategory === severityCategory)
+      : consequence.risk;
+    if (!ranking) return false;
+    if (severityCategory && !ranking.severityLevel && !ranking.likelihoodLevel) return false;
+    if (likelihoodLevel && ranking.likelihoodLevel !== likelihoodLevel) return false;
+    if (riskLevel) {
+      const level = ranking.severityLevel && ranking.likelihoodLevel
+        ? state.riskMatrix.matrix[`${ranking.likelihoodLevel}-${ranking.severityLevel}`]
+        : null;
+      if (!level || level.id !== riskLevel) return false;
+    }
+    return true;
+  }
+
+  // Blank hazard, top event, cause or consequence text, a measure without a barrier, or no causes or consequences yet
+  function hasEmptyFields(hazard) {
+    const blank = text => !String(text || '').trim();
+    return blank(hazard.title) || hazard.causes.length === 0 || hazard.consequences.length === 0 ||
+      hazard.topEvents.some(t => blank(t.text)) ||
+      [...hazard.causes, ...hazard.consequences].some(item => blank(item.text)) ||
+      measuresIn(hazard).some(m => !m.barrierId);
+  }
+
+  function matchesHazardFilter(hazard) {
+    const { text, responsible, gaps } = state.hazardFilter;
+    const needle = text.trim().toLowerCase();
+    if (needle) {
+      if (!hazardSearchTexts(hazard).some(t => String(t || '').toLowerCase().includes(needle))) return false;
+    }
+    if (hasConsequenceFilter() && !hazard.consequences.some(matchesConsequenceFilter)) return false;
+    if (responsible && !hazard.recommendations.some(r => r.responsible.trim() === responsible)) return false;
+    if (gaps === 'unranked' && !hazard.consequences.some(isUnranked)) return false;
+    if (gaps === 'empty' && !hasEmptyFields(hazard)) return false;
+    return true;
+  }
+
+  // Heat map cell filter and filter bar together
+  const matchesTableFilters = hazard => (!state.riskFilter || hazard.consequences.some(matchesRiskFilter)) && matchesHazardFilter(hazard);
+
+  const isConsequenceHighlighted = consequence => (!!state.riskFilter && matchesRiskFilter(consequence)) ||
+    (hasConsequenceFilter() && matchesConsequenceFilter(consequence)) ||
+    (state.hazardFilter.gaps === 'unranked' && isUnranked(consequence));
+
+  // Fields containing the search text, or left empty when looking for empty fields
+  function highlightFilterMatches(tableEl) {
+    const { text, gaps } = state.hazardFilter;
+    const needle = text.trim().toLowerCase();
+    if (!needle && gaps !== 'empty') return;
+    qsa('input[type="text"], textarea', tableEl).forEach((field) => {
+      const value = field.value.trim().toLowerCase();
+      if ((needle && value.includes(needle)) || (gaps === 'empty' && !value)) field.classList.add('search-match');
+    });
+  }
+
+  // Option lists follow the risk matrix and the recommendations, so they are refreshed on every render
+  function renderHazardFilterBar() {
+    const filter = state.hazardFilter;
+    const fill = (id, key, allLabel, options) => {
+      const select = byId(id);
+      if (!options.some(o => o.id === filter[key])) filter[key] = '';
+      select.replaceChildren(
+        createEl('option', { value: '', text: allLabel }),
+        ...options.map(o => createEl('option', { value: o.id, text: o.label }))
+      );
+      select.value = filter[key];
+    };
+    const responsibles = [...new Set(state.hazards.flatMap(h => h.recommendations.map(r => r.responsible.trim())).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+    fill('hazard-risk-filter', 'riskLevel', 'Any risk level', state.riskMatrix.riskLevels);
+    fill('hazard-category-filter', 'severityCategory', 'Any severity category', getSeverityCategories());
+    fill('hazard-likelihood-filter', 'likelihoodLevel', 'Any likelihood', state.riskMatrix.likelihood);
+    fill('hazard-responsible-filter', 'responsible', 'Any responsible party', responsibles.map(r => ({ id: r, label: r })));
+    fill('hazard-gap-filter', 'gaps', 'All hazards', HAZARD_GAP_FILTERS);
+    byId('hazard-text-filter').value = filter.text;
+    byId('export-filtered-only').checked = filter.exportFiltered;
+    const shown = state.hazards.filter(matchesTableFilters).length;
+    byId('hazard-filter-summary').textContent = isTableFiltered() ? `Showing ${shown} of ${state.hazards.length} hazard(s)` : '';
+    byId('clear-hazard-filters').disabled = !isHazardFilterActive();
+    const sortSelect = byId('hazard-sort');
+    sortSelect.replaceChildren(...HAZARD_SORTS.map(sort => createEl('option', { value: sort.id, text: sort.label })));
+    sortSelect.value = state.hazardSort;
+  }
+
+  function wireHazardFilterBar() {
+    const setFilter = (key, value) => { state.hazardFilter[key] = value; scheduleRerender(); };
+    byId('hazard-text-filter').addEventListener('input', (e) => setFilter('text', e.target.value));
+    [['hazard-risk-filter', 'riskLevel'], ['hazard-category-filter', 'severityCategory'], ['hazard-likelihood-filter', 'likelihoodLevel'],
+      ['hazard-responsible-filter', 'responsible'], ['hazard-gap-filter', 'gaps']].forEach(([id, key]) => {
+      byId(id).addEventListener('change', (e) => setFilter(key, e.target.value));
+    });
+    byId('hazard-sort').addEventListener('change', (e) => { state.hazardSort = e.target.value; scheduleRerender(); });
+    byId('export-filtered-only').addEventListener('change', (e) => { state.hazardFilter.exportFiltered = e.target.checked; });
+    byId('clear-hazard-filters').addEventListener('click', () => {
+      state.hazardFilter = { ...createHazardFilter(), exportFiltered: state.hazardFilter.exportFiltered };
+      scheduleRerender();
+    });
+  }
+
+  // Node groups the Excel export writes, in the table's sort order; only the hazards shown
+  // when "Export shown hazards only" is ticked
+  const isExportFiltered = () => state.hazardFilter.exportFiltered && isTableFiltered();
+
+  function exportedGroups() {
+    const filtered = isExportFiltered();
+    return groupHazardsByNode()
+      .map(group => ({ ...group, entries: sortHazardEntries(filtered ? group.entries.filter(({ hazard }) => matchesTableFilters(hazard)) : group.entries) }))
+      .filter(group => !filtered || group.entries.length > 0);
+  }
+
+  const exportFileName = () => (isExportFiltered() ? `${studyFileName()}-filtered` : studyFileName());
+
+  // Hazards table order
+  // Sorting orders each node's hazards in the table and the Excel export only;
+  // state.hazards keeps the manual order, which "Manual order" shows again.
+  // Ranked sorts put the worst first and keep the manual order among equals.
+  const countOpenRecommendations = hazard => hazard.recommendations.filter(r => r.status === 'open' || r.status === 'in-progress').length;
+
+  const getHighestSeverityRank = hazard => Math.max(-1, ...hazard.consequences.flatMap(cons => (cons.categoryRisks || [])
+    .map(r => state.riskMatrix.severity.findIndex(s => s.id === r.severityLevel))));
+
+  const HAZARD_SORTS = [
+    { id: '', label: 'Manual order' },
+    { id: 'risk', label: 'Worst risk', rank: hazard => state.riskMatrix.riskLevels.indexOf(getWorstRiskLevel([hazard])) },
+    { id: 'severity', label: 'Highest severity', rank: getHighestSeverityRank },
+    { id: 'open', label: 'Open recommendations', rank: countOpenRecommendations },
+    { id: 'title', label: 'Alphabetical' }
+  ];
+
+  function sortHazardEntries(entries) {
+    const sort = HAZARD_SORTS.find(s => s.id === state.hazardSort);
+    if (!sort || !sort.id) return entries;
+    if (sort.id === 'title') {
+      // Untitled hazards go last
+      const title = ({ hazard }) => hazard.title.trim();
+      return [...entries].sort((a, b) => (!title(a) - !title(b)) || title(a).localeCompare(title(b), undefined, { sensitivity: 'base', numeric: true }) || a.index - b.index);
+    }
+    const ranked = entries.map(entry => ({ entry, rank: sort.rank(entry.hazard) }));
+    return ranked.sort((a, b) => b.rank - a.rank || a.entry.index - b.entry.index).map(r => r.entry);
+  }
+
+  function renderHazardRow(hazard, hazardIndex) {
+    const tr = createEl('tr', { dataset: { hazardIndex: String(hazardIndex) } });
+
+    // Hazard cell
+    const tdHazard = createEl('td');
+    tdHazard.append(renderHazardCell(hazard, hazardIndex));
+    markItem(tdHazard, { type: 'hazard', hazardIndex });
+    tr.append(tdHazard);
+
+    const tdTopEvent = createEl('td');
+    tdTopEvent.append(renderTopEventsCell(hazard));
+    tr.append(tdTopEvent);
+
+    // Causes group
+    const tdCause = createEl('td');
+    tdCause.append(renderCauseSegments(hazard, hazardIndex));
+    tr.append(tdCause);
+
+    const tdCauseMeasures = createEl('td');
+    tdCauseMeasures.append(renderCauseMeasuresSegments(hazard, hazardIndex));
+    tr.append(tdCauseMeasures);
+
+    // Consequences group
+    const tdConseq = createEl('td');
+    tdConseq.append(renderConsequenceSegments(hazard, hazardIndex));
+    tr.append(tdConseq);
+
+    const tdConseqMeasures = createEl('td');
+    tdConseqMeasures.append(renderConsequenceMeasuresSegments(hazard, hazardIndex));
+    tr.append(tdConseqMeasures);
+
+    // Risk columns – segmented aligned to consequences only
+    const tdSevCat = createEl('td');
+    tdSevCat.append(renderRiskSegments(hazard, hazardIndex, 'severityCategory'));
+    tr.append(tdSevCat);
+
+    const tdInitial = createEl('td');
+    tdInitial.append(renderRiskStageSegments(hazard, hazardIndex, 'initialRisk'));
+    tr.append(tdInitial);
+
+    const tdSevLvl = createEl('td');
+    tdSevLvl.append(renderRiskSegments(hazard, hazardIndex, 'severityLevel'));
+    tr.append(tdSevLvl);
+
+    const tdLikeLvl = createEl('td');
+    tdLikeLvl.append(renderRiskSegments(hazard, hazardIndex, 'likelihoodLevel'));
+    tr.append(tdLikeLvl);
+
+    const tdRisk = createEl('td');
+    tdRisk.append(renderRiskSegments(hazard, hazardIndex, 'riskScore', true));
+    tr.append(tdRisk);
+
+    const tdResidual = createEl('td');
+    tdResidual.append(renderRiskStageSegments(hazard, hazardIndex, 'residualRisk'));
+    tr.append(tdResidual);
+
+    // Recommendations and actions (single, full cell each)
+    const tdReco = createEl('td');
+    tdReco.append(renderRecommendationsCell(hazard, hazardIndex));
+    tr.append(tdReco);
+
+    const tdActions = createEl('td');
+    tdActions.append(renderHazardActions(hazardIndex));
+    tr.append(tdActions);
+
+    return tr;
+  }
+
+  // Hazards grouped by node, in node order; each entry keeps the hazard's index in state.hazards
+  function groupHazardsByNode() {
+    return state.nodes.map(node => ({
+      node,
+      entries: state.hazards
+        .map((hazard, index) => ({ hazard, index }))
+        .filter(({ hazard }) => hazard.nodeId === node.id)
+    }));
+  }
+
+  function renderNodeRow(node, entries, columnCount) {
+    const tr = createEl('tr', { class: 'node-row' });
+    const td = createEl('td', { colspan: String(columnCount) });
+    const nodeIndex = state.nodes.indexOf(node);
+
+    const toggle = createEl('button', {
+      class: 'icon node-toggle',
+      title: node.collapsed ? 'Expand node' : 'Collapse node',
+      text: node.collapsed ? '▸' : '▾',
+      onclick: () => mutate(node.collapsed ? 'Expand node' : 'Collapse node', () => { node.collapsed = !node.collapsed; })
+    });
+    const name = createEl('input', {
+      type: 'text', class: 'node-name', value: node.name, placeholder: 'Node / system',
+      oninput: (e) => { recordEdit(`node:${node.id}:name`); node.name = e.target.value; scheduleSave(); }
+    });
+
+    const worst = getWorstRiskLevel(entries.map(e => e.hazard));
+    const summary = createEl('span', { class: 'node-summary', text: `${entries.length} hazard${entries.length === 1 ? '' : 's'}` });
+    const badge = createEl('span', { class: 'risk-badge', text: worst ? `Worst: ${worst.label}` : 'Unranked' });
+    if (worst) badge.style.backgroundColor = worst.color;
+
+    const addHazard = () => mutate('Add hazard', () => {
+      const last = entries[entries.length - 1];
+      const hazard = createHazard(node.id);
+      if (last) state.hazards.splice(last.index + 1, 0, hazard);
+      else state.hazards.push(hazard);
+      node.collapsed = false;
+    });
+    const moveNode = (offset) => mutate('Move node', () => {
+      state.nodes.splice(nodeIndex, 1);
+      state.nodes.splice(nodeIndex + offset, 0, node);
+    });
+    const removeNode = () => {
+      if (entries.length > 0 && !confirm(`Remove node "${node.name || 'Untitled node'}" and its ${entries.length} hazard(s)?`)) return;
+      mutate('Remove node', () => {
+        state.nodes.splice(nodeIndex, 1);
+        state.hazards = state.hazards.filter(h => h.nodeId !== node.id);
+        state.guidewordReviews = state.guidewordReviews.filter(r => r.nodeId !== node.id);
+      });
+      renderGuidewordPanel();
+    };
+
+    const moveUp = createButtonWithTooltip({ class: 'icon', onclick: () => moveNode(-1) }, 'Move up', '↑');
+    moveUp.disabled = nodeIndex === 0;
+    const moveDown = createButtonWithTooltip({ class: 'icon', onclick: () => moveNode(1) }, 'Move down', '↓');
+    moveDown.disabled = nodeIndex === state.nodes.length - 1;
+
+    const controls = createEl('div', { class: 'inline-controls' }, [
+      createButtonWithTooltip({ class: 'icon primary add-button', onclick: addHazard }, '+ Hazard', '+'),
+      moveUp,
+      moveDown,
+      createButtonWithTooltip({ class: 'icon danger remove-button', onclick: removeNode }, 'Remove node', '×')
+    ]);
+
+    td.append(createEl('div', { class: 'node-header' }, [toggle, name, summary, badge, controls]));
+    tr.append(td);
+    return tr;
+  }
+
+  // Cell renderers
+  function renderHazardCell(hazard, hazardIndex) {
+    const wrap = createEl('div', { class: 'stack' });
+    const title = createEl('input', {
+      type: 'text', value: hazard.title, placeholder: 'Hazard title',
+      oninput: (e) => { recordEdit(`hazard:${hazard.id}:title`); hazard.title = e.target.value; scheduleSave(); },
+      onblur: () => { scheduleSaveAndRerender(); }
+    });
+    const desc = createEl('textarea', {
+      placeholder: 'Hazard description (optional)'
     });
     desc.value = hazard.description || '';
-    desc.addEventListener('input', (e) => { hazard.description = e.target.value; scheduleSave(); });
+    desc.addEventListener('input', (e) => { recordEdit(`hazard:${hazard.id}:description`); hazard.description = e.target.value; scheduleSave(); });
 
     const causeBtnRow = createEl('div', { class: 'inline-controls' }, [
-      createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { hazard.causes.push(createCause()); scheduleSaveAndRerender(); } }, '+ Cause', '+'),
-      createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { hazard.consequences.push(createConsequence()); scheduleSaveAndRerender(); } }, '+ Consequence', '+'),
+      createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add cause', () => { hazard.causes.push(createCause()); }) }, '+ Cause', '+'),
+      createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add consequence', () => { hazard.consequences.push(createConsequence()); }) }, '+ Consequence', '+'),
       createButtonWithTooltip({ class: 'icon edit-button', onclick: () => showBowtieDiagram(hazardIndex) }, 'Bow-tie', 'B'),
-      createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => { state.hazards.splice(hazardIndex, 1); scheduleSaveAndRerender(); } }, 'Remove hazard', '×')
+      createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => mutate('Remove hazard', () => { state.hazards.splice(hazardIndex, 1); }) }, 'Remove hazard', '×')
     ]);
 
-    wrap.append(title, desc, causeBtnRow);
+    const worst = getWorstRiskLevel([hazard]);
+    const badge = createEl('span', { class: 'risk-badge hazard-risk-badge', text: worst ? `Worst: ${worst.label}` : 'Unranked', title: 'Worst current risk of the hazard\'s consequences' });
+    if (worst) badge.style.backgroundColor = worst.color;
+
+    wrap.append(badge, title, desc);
+    if (state.nodes.length > 1) {
+      const nodeSelect = createEl('select', {
+        title: 'Node / system',
+        onchange: (e) => mutate('Move hazard to node', () => { hazard.nodeId = e.target.value; })
+      });
+      state.nodes.forEach((node) => {
+        const option = createEl('option', { value: node.id, text: node.name || 'Untitled node' });
+        if (node.id === hazard.nodeId) option.selected = true;
+        nodeSelect.append(option);
+      });
+      wrap.append(nodeSelect);
+    }
+    wrap.append(causeBtnRow);
+    return wrap;
+  }
+
+  // Top events of the hazard; with several, each can take new causes and consequences directly
+  function renderTopEventsCell(hazard) {
+    const wrap = createEl('div', { class: 'stack' });
+    const several = hazard.topEvents.length > 1;
+    hazard.topEvents.forEach((topEvent, ti) => {
+      const seg = createEl('div', { class: 'row-segment' });
+      seg.append(createEl('input', {
+        type: 'text',
+        value: topEvent.text,
+        placeholder: 'Top event (e.g. loss of containment)',
+        oninput: (e) => { recordEdit(`top-event:${topEvent.id}:text`); topEvent.text = e.target.value; scheduleSave(); },
+        onchange: () => scheduleSaveAndRerender()
+      }));
+      if (several) {
+        seg.append(createEl('div', { class: 'inline-controls' }, [
+          createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add cause', () => { hazard.causes.push(createCause(topEvent.id)); }) }, '+ Cause', '+'),
+          createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add consequence', () => { hazard.consequences.push(createConsequence(topEvent.id)); }) }, '+ Consequence', '+'),
+          createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => removeTopEvent(hazard, ti) }, 'Remove', '×')
+        ]));
+      }
+      wrap.append(seg);
+    });
+    wrap.append(createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add top event', () => { hazard.topEvents.push(createTopEvent()); }) }, '+ Top event', '+'));
     return wrap;
   }
 
+  // Causes and consequences of a removed top event move to the first remaining one
+  function removeTopEvent(hazard, topEventIndex) {
+    const topEvent = hazard.topEvents[topEventIndex];
+    const items = [...hazard.causes, ...hazard.consequences].filter(item => topEventOf(hazard, item) === topEvent);
+    if (items.length > 0 && !confirm(`Remove top event "${topEvent.text || 'Untitled top event'}"? Its ${items.length} cause(s) and consequence(s) move to the first remaining top event.`)) return;
+    mutate('Remove top event', () => {
+      hazard.topEvents.splice(topEventIndex, 1);
+      items.forEach((item) => { item.topEventId = ''; });
+    });
+  }
+
+  // Top event picker shown on causes and consequences when the hazard has several
+  function renderTopEventSelect(hazard, item) {
+    const select = createEl('select', {
+      class: 'top-event-select',
+      title: 'Top event',
+      onchange: (e) => mutate('Change top event', () => { item.topEventId = e.target.value; })
+    }, hazard.topEvents.map((topEvent, ti) => createEl('option', { value: topEvent.id, text: topEvent.text || `Top event ${ti + 1}` })));
+    select.value = topEventOf(hazard, item).id;
+    return select;
+  }
+
   function renderCauseCell(hazard, hazardIndex, cause, rowIndex) {
     const wrap = createEl('div', { class: 'stack' });
     if (!cause) {
-      const btn = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { hazard.causes.push(createCause()); scheduleSaveAndRerender(); } }, '+ Add cause', '+');
+      const btn = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add cause', () => { hazard.causes.push(createCause()); }) }, '+ Add cause', '+');
       wrap.append(btn);
       return wrap;
     }
-    const input = createEl('input', { type: 'text', value: cause.text, placeholder: 'Cause', oninput: (e) => { cause.text = e.target.value; scheduleSave(); } });
+    const input = createEl('input', { type: 'text', value: cause.text, placeholder: 'Cause', oninput: (e) => { recordEdit(`cause:${cause.id}:text`); cause.text = e.target.value; scheduleSave(); } });
+    if (hazard.topEvents.length > 1) wrap.append(renderTopEventSelect(hazard, cause));
     const actions = createEl('div', { class: 'inline-controls' }, [
+      renderDragHandle({ type: 'cause', hazardIndex, index: rowIndex }),
       createButtonWithTooltip({ class: 'icon copy-button', onclick: () => copyItem({ type: 'cause', hazardIndex, rowIndex }) }, 'Copy', 'C'),
       createButtonWithTooltip({ class: 'icon muted paste-button', onclick: () => pasteItem({ type: 'cause', hazardIndex, rowIndex }) }, 'Paste', 'P'),
-      createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => { hazard.causes.splice(rowIndex, 1); scheduleSaveAndRerender(); } }, 'Remove', '×')
+      createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => mutate('Remove cause', () => { hazard.causes.splice(rowIndex, 1); }) }, 'Remove', '×')
     ]);
     wrap.append(input, actions);
     return wrap;
@@ -362,15 +1541,18 @@
   function renderConsequenceCell(hazard, hazardIndex, consequence, rowIndex) {
     const wrap = createEl('div', { class: 'stack' });
     if (!consequence) {
-      const btn = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { hazard.consequences.push(createConsequence()); scheduleSaveAndRerender(); } }, '+ Add consequence', '+');
+      const btn = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add consequence', () => { hazard.consequences.push(createConsequence()); }) }, '+ Add consequence', '+');
       wrap.append(btn);
       return wrap;
     }
-    const input = createEl('input', { type: 'text', value: consequence.text, placeholder: 'Consequence', oninput: (e) => { consequence.text = e.target.value; scheduleSave(); } });
+    if (isConsequenceHighlighted(consequence)) wrap.classList.add('risk-filter-match');
+    const input = createEl('input', { type: 'text', value: consequence.text, placeholder: 'Consequence', oninput: (e) => { recordEdit(`consequence:${consequence.id}:text`); consequence.text = e.target.value; scheduleSave(); } });
+    if (hazard.topEvents.length > 1) wrap.append(renderTopEventSelect(hazard, consequence));
     const actions = createEl('div', { class: 'inline-controls' }, [
+      renderDragHandle({ type: 'consequence', hazardIndex, index: rowIndex }),
       createButtonWithTooltip({ class: 'icon copy-button', onclick: () => copyItem({ type: 'consequence', hazardIndex, rowIndex }) }, 'Copy', 'C'),
       createButtonWithTooltip({ class: 'icon muted paste-button', onclick: () => pasteItem({ type: 'consequence', hazardIndex, rowIndex }) }, 'Paste', 'P'),
-      createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => { hazard.consequences.splice(rowIndex, 1); scheduleSaveAndRerender(); } }, 'Remove', '×')
+      createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => mutate('Remove consequence', () => { hazard.consequences.splice(rowIndex, 1); }) }, 'Remove', '×')
     ]);
     wrap.append(input, actions);
     return wrap;
@@ -390,92 +1572,148 @@
 
     if (owner[key].length === 0) {
       const seg = createEl('div', { class: 'segment' });
-      seg.append(createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { owner[key].push(createMeasure()); scheduleSaveAndRerender(); } }, `+ ${label}`, '+'));
+      seg.append(createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add measure', () => { owner[key].push(createMeasure()); }) }, `+ ${label}`, '+'));
+      makeDropTarget(seg, { type: 'measure', ownerType, hazardIndex, rowIndex, index: 0 }, { empty: true });
       container.append(seg);
       return container;
     }
 
     owner[key].forEach((m, mi) => {
       const seg = createEl('div', { class: 'segment' });
-      const input = createEl('input', { type: 'text', value: m.text, placeholder: label, oninput: (e) => { m.text = e.target.value; scheduleSave(); } });
+      const input = createEl('input', { type: 'text', value: getMeasureText(m), placeholder: label, list: 'barrier-names', onchange: (e) => setMeasureBarrier(m, e.target.value) });
+      const uses = barrierUseCounts.get(m.barrierId) || 0;
+      if (uses > 1) input.title = `Shared barrier used by ${uses} measures. Rename it in the Barriers tab to change it everywhere.`;
       const actions = createEl('div', { class: 'inline-controls' }, [
-        createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { owner[key].splice(mi + 1, 0, createMeasure()); scheduleSaveAndRerender(); } }, '+ Insert below', '+'),
+        renderDragHandle({ type: 'measure', ownerType, hazardIndex, rowIndex, index: mi }),
+        createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Insert measure', () => { owner[key].splice(mi + 1, 0, createMeasure()); }) }, '+ Insert below', '+'),
         createButtonWithTooltip({ class: 'icon copy-button', onclick: () => copyItem({ type: 'measure', ownerType, hazardIndex, rowIndex, measureIndex: mi }) }, 'Copy', 'C'),
         createButtonWithTooltip({ class: 'icon muted paste-button', onclick: () => pasteItem({ type: 'measure', ownerType, hazardIndex, rowIndex, measureIndex: mi }) }, 'Paste', 'P'),
-        createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => { owner[key].splice(mi, 1); scheduleSaveAndRerender(); } }, 'Remove', '×')
+        createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => mutate('Remove measure', () => { owner[key].splice(mi, 1); }) }, 'Remove', '×')
       ]);
-      seg.append(input, actions);
+      const barrier = getBarrier(m.barrierId);
+      if (barrier?.status) seg.classList.add(`barrier-status-${barrier.status}`);
+      seg.append(input);
+      if (uses > 1) seg.append(createEl('span', { class: 'barrier-uses', text: `Shared ×${uses}` }));
+      if (barrier) seg.append(renderMeasureAttributes(barrier));
+      seg.append(renderEscalationFactors(m));
+      actions.prepend(createButtonWithTooltip({ class: 'icon add-button', title: 'Add an escalation factor degrading this barrier', onclick: () => mutate('Add escalation factor', () => { m.escalationFactors.push(createEscalationFactor()); }) }, '+ Escalation', 'E'));
+      seg.append(actions);
+      makeDropTarget(seg, { type: 'measure', ownerType, hazardIndex, rowIndex, index: mi });
       container.append(seg);
     });
 
     return container;
   }
 
+  // Escalation factors hang under their measure, each with its own controls
+  function renderEscalationFactors(measure) {
+    const wrap = createEl('div', { class: 'escalation-factors' });
+    measure.escalationFactors.forEach((factor, fi) => {
+      const item = createEl('div', { class: 'escalation-factor' });
+      item.append(createEl('div', { class: 'escalation-line' }, [
+        createEl('input', {
+          type: 'text',
+          value: factor.text,
+          placeholder: 'Escalation factor',
+          oninput: (e) => { recordEdit(`escalation:${factor.id}:text`); factor.text = e.target.value; scheduleSave(); }
+        }),
+        createButtonWithTooltip({ class: 'icon add-button', onclick: () => mutate('Add escalation control', () => { factor.controls.push(createEscalationControl()); }) }, '+ Control', '+'),
+        createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => mutate('Remove escalation factor', () => { measure.escalationFactors.splice(fi, 1); }) }, 'Remove', '×')
+      ]));
+      factor.controls.forEach((control, ci) => {
+        item.append(createEl('div', { class: 'escalation-line escalation-control' }, [
+          createEl('input', {
+            type: 'text',
+            value: control.text,
+            placeholder: 'Escalation factor control',
+            oninput: (e) => { recordEdit(`escalation-control:${control.id}:text`); control.text = e.target.value; scheduleSave(); }
+          }),
+          createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => mutate('Remove escalation control', () => { factor.controls.splice(ci, 1); }) }, 'Remove', '×')
+        ]));
+      });
+      wrap.append(item);
+    });
+    return wrap;
+  }
+
+  // One line per category ranking of the consequence, plus a footer line holding
+  // "+ Category" in the category column and the overall (worst) risk in the risk column.
+  // Lines have a fixed height so they stay level across the four risk columns.
   function renderRiskField(hazard, hazardIndex, rowIndex, field, isComputed = false) {
     const consequence = hazard.consequences[rowIndex];
-    const risk = consequence ? (consequence.risk || (consequence.risk = { severityCategory: '', severityLevel: '', likelihoodLevel: '', riskScore: '' })) : null;
-    const wrap = createEl('div');
-    if (!risk) return wrap;
-
-    if (isComputed) {
-      risk.riskScore = computeRiskScore(risk.severityLevel, risk.likelihoodLevel);
-      const color = getRiskLevelColor(risk.severityLevel, risk.likelihoodLevel);
-      wrap.textContent = risk.riskScore || '';
-      if (color) wrap.style.backgroundColor = color;
-      if (color) wrap.style.color = 'white';
-      return wrap;
-    }
+    const wrap = createEl('div', { class: 'category-rankings' });
+    if (!consequence) return wrap;
+    if (!consequence.categoryRisks || consequence.categoryRisks.length === 0) consequence.categoryRisks = [createRisk()];
+    const rankings = consequence.categoryRisks;
+    const change = (label, fn) => mutate(label, () => { fn(); syncConsequenceRisk(consequence); });
+
+    rankings.forEach((ranking, ri) => {
+      const line = createEl('div', { class: 'category-ranking' });
+      if (isComputed) {
+        const color = getRiskLevelColor(ranking.severityLevel, ranking.likelihoodLevel);
+        line.textContent = describeRiskScore(ranking);
+        if (color) line.style.backgroundColor = color;
+        if (color) line.style.color = 'white';
+      } else if (field === 'severityCategory') {
+        const select = createEl('select', {
+          value: ranking[field] || '',
+          onchange: (e) => change('Change severity category', () => { ranking[field] = e.target.value; })
+        });
+        select.append(createEl('option', { value: '', text: 'Select category' }));
+        getSeverityCategories().forEach(cat => {
+          const option = createEl('option', { value: cat.id, text: cat.label });
+          if (cat.id === ranking[field]) option.selected = true;
+          // A category is ranked at most once per consequence
+          else if (rankings.some(r => r.severityCategory === cat.id)) option.disabled = true;
+          select.append(option);
+        });
+        if (ranking[field] && !getSeverityCategory(ranking[field])) {
+          const option = createEl('option', { value: ranking[field], text: `${ranking[field]} (not in matrix)` });
+          option.selected = true;
+          select.append(option);
+          select.classList.add('missing-category');
+          select.title = `"${ranking[field]}" is not a severity category of the current risk matrix`;
+        }
+        line.append(select);
+        if (rankings.length > 1) {
+          line.append(createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => change('Remove severity category', () => { rankings.splice(ri, 1); }) }, 'Remove', '×'));
+        }
+      } else if (field === 'severityLevel') {
+        const select = createEl('select', {
+          value: ranking[field] || '',
+          onchange: (e) => change('Change severity level', () => { ranking[field] = e.target.value; })
+        });
+        select.append(createEl('option', { value: '', text: 'Select severity' }));
+        state.riskMatrix.severity.forEach(sev => {
+          const option = createEl('option', { value: sev.id, text: `${sev.label} - ${sev.description}` });
+          if (sev.id === ranking[field]) option.selected = true;
+          select.append(option);
+        });
+        line.append(select);
+      } else if (field === 'likelihoodLevel') {
+        const select = createEl('select', {
+          value: ranking[field] || '',
+          onchange: (e) => change('Change likelihood level', () => { ranking[field] = e.target.value; })
+        });
+        select.append(createEl('option', { value: '', text: 'Select likelihood' }));
+        state.riskMatrix.likelihood.forEach(lik => {
+          const option = createEl('option', { value: lik.id, text: `${lik.label} - ${lik.description}` });
+          if (lik.id === ranking[field]) option.selected = true;
+          select.append(option);
+        });
+        line.append(select);
+      }
+      wrap.append(line);
+    });
 
-    if (field === 'severityCategory') {
-      const select = createEl('select', {
-        value: risk[field] || '',
-        onchange: (e) => { risk[field] = e.target.value; scheduleSave(); }
-      });
-      
-      const emptyOption = createEl('option', { value: '', text: 'Select category' });
-      select.append(emptyOption);
-      
-      ['personnel', 'asset', 'environmental', 'reputation', 'operation'].forEach(cat => {
-        const option = createEl('option', { value: cat, text: cat.charAt(0).toUpperCase() + cat.slice(1) });
-        if (cat === risk[field]) option.selected = true;
-        select.append(option);
-      });
-      
-      wrap.append(select);
-    } else if (field === 'severityLevel') {
-      const select = createEl('select', {
-        value: risk[field] || '',
-        onchange: (e) => { risk[field] = e.target.value; scheduleSaveAndRerender(); }
-      });
-      
-      const emptyOption = createEl('option', { value: '', text: 'Select severity' });
-      select.append(emptyOption);
-      
-      state.riskMatrix.severity.forEach(sev => {
-        const option = createEl('option', { value: sev.id, text: `${sev.label} - ${sev.description}` });
-        if (sev.id === risk[field]) option.selected = true;
-        select.append(option);
-      });
-      
-      wrap.append(select);
-    } else if (field === 'likelihoodLevel') {
-      const select = createEl('select', {
-        value: risk[field] || '',
-        onchange: (e) => { risk[field] = e.target.value; scheduleSaveAndRerender(); }
-      });
-      
-      const emptyOption = createEl('option', { value: '', text: 'Select likelihood' });
-      select.append(emptyOption);
-      
-      state.riskMatrix.likelihood.forEach(lik => {
-        const option = createEl('option', { value: lik.id, text: `${lik.label} - ${lik.description}` });
-        if (lik.id === risk[field]) option.selected = true;
-        select.append(option);
-      });
-      
-      wrap.append(select);
+    const footer = createEl('div', { class: 'category-ranking category-ranking-footer' });
+    if (field === 'severityCategory' && rankings.length < getSeverityCategories().length) {
+      footer.append(createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => change('Add severity category', () => { rankings.push(createRisk()); }) }, '+ Category', '+'));
+    } else if (isComputed) {
+      syncConsequenceRisk(consequence);
+      if (rankings.length > 1 && consequence.risk.riskScore) footer.textContent = `Overall: ${describeRiskScore(consequence.risk)}`;
     }
-
+    wrap.append(footer);
     return wrap;
   }
 
@@ -494,13 +1732,15 @@
     const container = segmentedContainer(count);
     if (hazard.causes.length === 0) {
       const seg = createEl('div', { class: 'segment' });
-      seg.append(createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { hazard.causes.push(createCause()); scheduleSaveAndRerender(); } }, '+ Add cause', '+'));
+      seg.append(createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add cause', () => { hazard.causes.push(createCause()); }) }, '+ Add cause', '+'));
+      makeDropTarget(seg, { type: 'cause', hazardIndex, index: 0 }, { empty: true });
       container.append(seg);
       return container;
     }
     hazard.causes.forEach((cause, i) => {
       const seg = createEl('div', { class: 'segment', dataset: { hazardIndex: String(hazardIndex), kind: 'cause', segIndex: String(i) } });
       seg.append(renderCauseCell(hazard, hazardIndex, cause, i));
+      makeDropTarget(seg, { type: 'cause', hazardIndex, index: i });
       container.append(seg);
     });
     return container;
@@ -526,13 +1766,15 @@
     const container = segmentedContainer(count);
     if (hazard.consequences.length === 0) {
       const seg = createEl('div', { class: 'segment' });
-      seg.append(createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { hazard.consequences.push(createConsequence()); scheduleSaveAndRerender(); } }, '+ Add consequence', '+'));
+      seg.append(createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add consequence', () => { hazard.consequences.push(createConsequence()); }) }, '+ Add consequence', '+'));
+      makeDropTarget(seg, { type: 'consequence', hazardIndex, index: 0 }, { empty: true });
       container.append(seg);
       return container;
     }
     hazard.consequences.forEach((consequence, i) => {
       const seg = createEl('div', { class: 'segment', dataset: { hazardIndex: String(hazardIndex), kind: 'consequence', segIndex: String(i) } });
       seg.append(renderConsequenceCell(hazard, hazardIndex, consequence, i));
+      makeDropTarget(seg, { type: 'consequence', hazardIndex, index: i });
       container.append(seg);
     });
     return container;
@@ -554,48 +1796,27 @@
   }
 
   // Align heights of paired segments between causes and their measures, and consequences and their measures
-  function alignSegments(root) {
-    // Reset any previous inline heights
-    qsa('.segments .segment', root).forEach((el) => { el.style.minHeight = ''; });
-
-    // For each hazard index present in DOM
-    const hazardIndices = new Set(qsa('[data-hazard-index]', root).map((el) => el.dataset.hazardIndex));
-    hazardIndices.forEach((hIdx) => {
-      // Align causes with cause-measures
-      const causeSegs = qsa(`.segment[data-hazard-index="${hIdx}"][data-kind="cause"]`, root);
-      const causeMeaSegs = qsa(`.segment[data-hazard-index="${hIdx}"][data-kind="cause-measures"]`, root);
-      const n = Math.max(causeSegs.length, causeMeaSegs.length);
-      for (let i = 0; i < n; i += 1) {
-        const a = causeSegs[i];
-        const b = causeMeaSegs[i];
-        if (!a || !b) continue;
-        const target = Math.max(a.scrollHeight, b.scrollHeight);
-        a.style.minHeight = `${target}px`;
-        b.style.minHeight = `${target}px`;
-      }
-
-      // Align consequences with consequence-measures and risk columns
-      const consSegs = qsa(`.segment[data-hazard-index="${hIdx}"][data-kind="consequence"]`, root);
-      const consMeaSegs = qsa(`.segment[data-hazard-index="${hIdx}"][data-kind="consequence-measures"]`, root);
-      const riskSevCat = qsa(`.segment[data-hazard-index="${hIdx}"][data-kind="risk-sev-cat"]`, root);
-      const riskSev = qsa(`.segment[data-hazard-index="${hIdx}"][data-kind="risk-sev"]`, root);
-      const riskLike = qsa(`.segment[data-hazard-index="${hIdx}"][data-kind="risk-like"]`, root);
-      const riskScore = qsa(`.segment[data-hazard-index="${hIdx}"][data-kind="risk-score"]`, root);
-      const m = consSegs.length;
-      for (let i = 0; i < m; i += 1) {
-        const elems = [consSegs[i], consMeaSegs[i], riskSevCat[i], riskSev[i], riskLike[i], riskScore[i]].filter(Boolean);
-        if (elems.length === 0) continue;
-        const target = Math.max(...elems.map(el => el.scrollHeight));
-        elems.forEach(el => { el.style.minHeight = `${target}px`; });
-      }
+  // and risk columns. All rows are measured before any height is set, so the layout is computed once.
+  const CAUSE_SEGMENT_KINDS = ['cause', 'cause-measures'];
+
+  function alignSegments(rows) {
+    const lines = rows.flatMap((tr) => {
+      const byLine = new Map();
+      qsa('.segment[data-kind]', tr).forEach((seg) => {
+        const line = `${CAUSE_SEGMENT_KINDS.includes(seg.dataset.kind) ? 'cause' : 'consequence'}:${seg.dataset.segIndex}`;
+        if (!byLine.has(line)) byLine.set(line, []);
+        byLine.get(line).push(seg);
+      });
+      return [...byLine.values()].filter(segs => segs.length > 1);
     });
-
-    // Re-run after images/fonts load or window resize
+    // Reset any previous inline heights
+    lines.forEach(segs => segs.forEach((seg) => { seg.style.minHeight = ''; }));
+    const heights = lines.map(segs => Math.max(...segs.map(seg => seg.scrollHeight)));
+    lines.forEach((segs, i) => segs.forEach((seg) => { seg.style.minHeight = `${heights[i]}px`; }));
   }
 
   window.addEventListener('resize', () => {
-    const container = byId('table-container');
-    alignSegments(container);
+    alignSegments(qsa('#table-container tr[data-hazard-index]'));
   });
 
   function renderRiskSegments(hazard, hazardIndex, field, isComputed = false) {
@@ -612,6 +1833,69 @@
       else if (field === 'likelihoodLevel') kind = 'risk-like';
       const seg = createEl('div', { class: 'segment', dataset: { hazardIndex: String(hazardIndex), kind, segIndex: String(i) } });
       seg.append(renderRiskField(hazard, hazardIndex, i, field, isComputed));
+      markItem(seg, { type: 'consequence', hazardIndex, index: i });
+      container.append(seg);
+    });
+    return container;
+  }
+
+  // Initial or residual ranking: severity and likelihood pickers with the resulting risk level
+  function renderRiskStageField(consequence, stageKey) {
+    const wrap = createEl('div', { class: 'risk-stage' });
+    if (!consequence) return wrap;
+    const ranking = consequence[stageKey] || (consequence[stageKey] = createRiskRanking());
+    const stageLabel = RISK_STAGES.find(s => s.key === stageKey).label.toLowerCase();
+
+    const severitySelect = createEl('select', {
+      title: `Severity (${stageLabel})`,
+      onchange: (e) => mutate(`Change ${stageLabel} severity`, () => { ranking.severityLevel = e.target.value; })
+    });
+    severitySelect.append(createEl('option', { value: '', text: 'Severity' }));
+    state.riskMatrix.severity.forEach(sev => {
+      const option = createEl('option', { value: sev.id, text: `${sev.label} - ${sev.description}` });
+      if (sev.id === ranking.severityLevel) option.selected = true;
+      severitySelect.append(option);
+    });
+
+    const likelihoodSelect = createEl('select', {
+      title: `Likelihood (${stageLabel})`,
+      onchange: (e) => mutate(`Change ${stageLabel} likelihood`, () => { ranking.likelihoodLevel = e.target.value; })
+    });
+    likelihoodSelect.append(createEl('option', { value: '', text: 'Likelihood' }));
+    state.riskMatrix.likelihood.forEach(lik => {
+      const option = createEl('option', { value: lik.id, text: `${lik.label} - ${lik.description}` });
+      if (lik.id === ranking.likelihoodLevel) option.selected = true;
+      likelihoodSelect.append(option);
+    });
+
+    ranking.riskScore = computeRiskScore(ranking.severityLevel, ranking.likelihoodLevel);
+    const score = createEl('div', { class: 'risk-stage-score', text: describeRiskScore(ranking) });
+    const color = getRiskLevelColor(ranking.severityLevel, ranking.likelihoodLevel);
+    if (color) {
+      score.style.backgroundColor = color;
+      score.style.color = 'white';
+    }
+    wrap.append(severitySelect, likelihoodSelect, score);
+
+    if (stageKey === 'residualRisk') {
+      const reduction = describeRiskReduction(consequence);
+      if (reduction) wrap.append(createEl('div', { class: 'risk-reduction', text: reduction }));
+    }
+    return wrap;
+  }
+
+  function renderRiskStageSegments(hazard, hazardIndex, stageKey) {
+    const count = Math.max(hazard.consequences.length, 1);
+    const container = segmentedContainer(count);
+    if (hazard.consequences.length === 0) {
+      container.append(createEl('div', { class: 'segment' }));
+      return container;
+    }
+    const kind = stageKey === 'initialRisk' ? 'risk-initial' : 'risk-residual';
+    hazard.consequences.forEach((consequence, i) => {
+      const seg = createEl('div', { class: 'segment', dataset: { hazardIndex: String(hazardIndex), kind, segIndex: String(i) } });
+      seg.append(renderRiskStageField(consequence, stageKey));
+      markItem(seg, { type: 'consequence', hazardIndex, index: i });
       container.append(seg);
     });
     return container;
@@ -621,57 +1905,188 @@
     const wrap = createEl('div', { class: 'stack' });
     hazard.recommendations.forEach((r, ri) => {
       const seg = createEl('div', { class: 'row-segment' });
-      const action = createEl('input', { type: 'text', value: r.action, placeholder: 'Action', oninput: (e) => { r.action = e.target.value; scheduleSave(); } });
-      const resp = createEl('input', { type: 'text', value: r.responsible, placeholder: 'Responsible', oninput: (e) => { r.responsible = e.target.value; scheduleSave(); } });
+      const action = createEl('input', { type: 'text', value: r.action, placeholder: 'Action', oninput: (e) => { recordEdit(`recommendation:${r.id}:action`); r.action = e.target.value; scheduleSave(); } });
+      const resp = createEl('input', { type: 'text', value: r.responsible, placeholder: 'Responsible', oninput: (e) => { recordEdit(`recommendation:${r.id}:responsible`); r.responsible = e.target.value; scheduleSave(); } });
+      const status = createEl('select', {
+        title: 'Status',
+        onchange: (e) => mutate('Change action status', () => { r.status = e.target.value; })
+      }, RECOMMENDATION_STATUSES.map(st => createEl('option', { value: st, text: RECOMMENDATION_STATUS_LABELS[st] })));
+      status.value = r.status;
+      const meta = createEl('div', { class: `reco-meta action-${r.status}${isRecommendationOverdue(r) ? ' action-overdue' : ''}` }, [
+        createEl('span', { class: 'action-number', text: formatRecommendationNumber(r) }),
+        status
+      ]);
+      if (r.dueDate) meta.append(createEl('span', { class: 'reco-due', text: `Due ${r.dueDate}` }));
       const actions = createEl('div', { class: 'inline-controls' }, [
+        renderDragHandle({ type: 'recommendation', hazardIndex, index: ri }),
         createButtonWithTooltip({ class: 'icon copy-button', onclick: () => copyItem({ type: 'recommendation', hazardIndex, recoIndex: ri }) }, 'Copy', 'C'),
         createButtonWithTooltip({ class: 'icon muted paste-button', onclick: () => pasteItem({ type: 'recommendation', hazardIndex, recoIndex: ri }) }, 'Paste', 'P'),
-        createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => { hazards(hazardIndex).recommendations.splice(ri, 1); scheduleSaveAndRerender(); } }, 'Remove', '×')
+        createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => mutate('Remove recommendation', () => { hazards(hazardIndex).recommendations.splice(ri, 1); }) }, 'Remove', '×')
       ]);
-      seg.append(action, resp, actions);
+      seg.append(meta, action, resp, renderRecommendationLinks(hazard, r), actions);
+      makeDropTarget(seg, { type: 'recommendation', hazardIndex, index: ri });
       wrap.append(seg);
     });
+    if (hazard.recommendations.length === 0) makeDropTarget(wrap, { type: 'recommendation', hazardIndex, index: 0 }, { empty: true });
 
-    const addBtn = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { hazards(hazardIndex).recommendations.push(createRecommendation()); scheduleSaveAndRerender(); } }, '+ Recommendation', '+');
+    const addBtn = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add recommendation', () => { hazards(hazardIndex).recommendations.push(createRecommendation()); }) }, '+ Recommendation', '+');
     wrap.append(addBtn);
     return wrap;
   }
 
+  // Chips for the items a recommendation addresses, plus a picker to link another
+  function renderRecommendationLinks(hazard, reco) {
+    const wrap = createEl('div', { class: 'reco-links' });
+    const targets = getRecommendationTargets(hazard);
+
+    getLinkedTargets(hazard, reco).forEach((target) => {
+      wrap.append(createEl('span', { class: `reco-link-chip reco-link-${target.type}`, title: describeTarget(target) }, [
+        createEl('span', { text: describeTarget(target) }),
+        createEl('button', {
+          class: 'reco-link-remove',
+          title: 'Remove link',
+          text: '×',
+          onclick: () => mutate('Unlink recommendation', () => {
+            reco.links = reco.links.filter(link => !(link.type === target.type && link.id === target.id));
+          })
+        })
+      ]));
+    });
+
+    const unlinked = targets.filter(t => !reco.links.some(link => link.type === t.type && link.id === t.id));
+    if (unlinked.length > 0) {
+      const picker = createEl('select', {
+        class: 'reco-link-picker',
+        title: 'Link to a cause, consequence or measure',
+        onchange: (e) => {
+          const target = unlinked[Number(e.target.value)];
+          if (target) mutate('Link recommendation', () => { reco.links.push({ type: target.type, id: target.id }); });
+        }
+      });
+      picker.append(createEl('option', { value: '', text: '+ Addresses…' }));
+      ['Cause', 'Consequence', 'Prevention', 'Mitigation'].forEach((label) => {
+        const group = createEl('optgroup', { label });
+        unlinked.forEach((target, index) => {
+          if (target.label === label) group.append(createEl('option', { value: String(index), text: target.text }));
+        });
+        if (group.children.length > 0) picker.append(group);
+      });
+      wrap.append(picker);
+    }
+    return wrap;
+  }
+
   function renderHazardActions(hazardIndex) {
     const wrap = createEl('div', { class: 'cell-actions' });
-    const addAbove = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { state.hazards.splice(hazardIndex, 0, createHazard()); scheduleSaveAndRerender(); } }, 'Add above', '+');
-    const addBelow = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => { state.hazards.splice(hazardIndex + 1, 0, createHazard()); scheduleSaveAndRerender(); } }, 'Add below', '+');
-    const duplicate = createButtonWithTooltip({ class: 'icon duplicate-button', onclick: () => { const clone = deepClone(state.hazards[hazardIndex]); clone.id = generateId(); state.hazards.splice(hazardIndex + 1, 0, clone); scheduleSaveAndRerender(); } }, 'Duplicate', 'D');
-    const copyBtn = createButtonWithTooltip({ class: 'icon copy-button', onclick: () => { state.clipboard = { type: 'hazard', data: deepClone(state.hazards[hazardIndex]) }; } }, 'Copy', 'C');
-    const pasteBtn = createButtonWithTooltip({ class: 'icon muted paste-button', onclick: () => {
-      if (!state.clipboard || state.clipboard.type !== 'hazard') return;
-      const clone = deepClone(state.clipboard.data);
-      clone.id = generateId();
-      state.hazards.splice(hazardIndex + 1, 0, clone);
-      scheduleSaveAndRerender();
-    } }, 'Paste', 'P');
-    const remove = createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => { state.hazards.splice(hazardIndex, 1); scheduleSaveAndRerender(); } }, 'Remove', '×');
+    const addAbove = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add hazard', () => { state.hazards.splice(hazardIndex, 0, createHazard(state.hazards[hazardIndex].nodeId)); }) }, 'Add above', '+');
+    const addBelow = createButtonWithTooltip({ class: 'icon primary add-button', onclick: () => mutate('Add hazard', () => { state.hazards.splice(hazardIndex + 1, 0, createHazard(state.hazards[hazardIndex].nodeId)); }) }, 'Add below', '+');
+    const duplicate = createButtonWithTooltip({ class: 'icon duplicate-button', onclick: () => duplicateHazard(hazardIndex) }, 'Duplicate', 'D');
+    const copyBtn = createButtonWithTooltip({ class: 'icon copy-button', onclick: () => copyHazard(hazardIndex) }, 'Copy', 'C');
+    const pasteBtn = createButtonWithTooltip({ class: 'icon muted paste-button', onclick: () => pasteHazard(hazardIndex) }, 'Paste', 'P');
+    const remove = createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => mutate('Remove hazard', () => { state.hazards.splice(hazardIndex, 1); }) }, 'Remove', '×');
     wrap.append(addAbove, addBelow, duplicate, copyBtn, pasteBtn, remove);
     return wrap;
   }
 
+  function duplicateHazard(hazardIndex) {
+    mutate('Duplicate hazard', () => {
+      const clone = renumberCopiedHazard(withFreshIds(deepClone(state.hazards[hazardIndex])));
+      state.hazards.splice(hazardIndex + 1, 0, clone);
+    });
+  }
+
+  // The copy also goes on the system clipboard, for other windows and for Excel
+  function copyHazard(hazardIndex) {
+    const hazard = state.hazards[hazardIndex];
+    state.clipboard = { type: 'hazard', data: deepClone(hazard), barriers: copiedBarriers(hazard) };
+    copyHazardToSystemClipboard(state.clipboard.data, state.clipboard.barriers);
+  }
+
+  // Pastes the copied hazard below the given one, in its node
+  function pasteHazard(hazardIndex, clip = state.clipboard) {
+    if (!clip || clip.type !== 'hazard') return;
+    const clone = renumberCopiedHazard(withFreshIds(deepClone(clip.data)));
+    clone.nodeId = state.hazards[hazardIndex].nodeId;
+    mutate('Paste hazard', () => {
+      adoptBarriers(clone, clip.barriers);
+      state.hazards.splice(hazardIndex + 1, 0, clone);
+    });
+  }
+
+  // Copies get new ids throughout (hazard, top events, causes, consequences, measures,
+  // escalation factors and controls, recommendations) so they never share an id with
+  // the original; top event references and recommendation links follow the new ids
+  function withFreshIds(item) {
+    const renamed = new Map();
+    const renew = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(renew);
+        return;
+      }
+      if (!isPlainObject(value)) return;
+      if (typeof value.id === 'string') {
+        const id = generateId();
+        renamed.set(value.id, id);
+        value.id = id;
+      }
+      Object.entries(value).forEach(([key, child]) => { if (key !== 'links') renew(child); });
+    };
+    renew(item);
+    const follow = (obj, key) => { if (renamed.has(obj[key])) obj[key] = renamed.get(obj[key]); };
+    [...(item.causes || []), ...(item.consequences || [])].forEach(child => follow(child, 'topEventId'));
+    (item.recommendations || []).forEach(reco => (reco.links || []).forEach(link => follow(link, 'id')));
+    return item;
+  }
+
+  // Copied recommendations are new actions with their own numbers
+  function renumberCopiedHazard(hazard) {
+    let number = nextRecommendationNumber();
+    hazard.recommendations.forEach((reco) => {
+      reco.number = number++;
+    });
+    return hazard;
+  }
+
+  // Measures inside a copied hazard, cause, consequence or measure
+  const measuresIn = item => ('barrierId' in item ? [item] : [
+    ...(item.preventionMeasures || []),
+    ...(item.mitigationMeasures || []),
+    ...(item.causes || []).flatMap(cause => cause.preventionMeasures),
+    ...(item.consequences || []).flatMap(cons => cons.mitigationMeasures)
+  ]);
+
+  // The clipboard carries the barriers it references, so pasting into another
+  // study adds them to that register or reuses a barrier of the same name there
+  const copiedBarriers = item => deepClone(state.barriers.filter(b => measuresIn(item).some(m => m.barrierId === b.id)));
+
+  function adoptBarriers(item, barriers = []) {
+    measuresIn(item).forEach((measure) => {
+      if (!measure.barrierId || getBarrier(measure.barrierId)) return;
+      const source = barriers.find(b => b.id === measure.barrierId);
+      const existing = source && findBarrierByName(source.name);
+      if (!source) measure.barrierId = '';
+      else if (existing) measure.barrierId = existing.id;
+      else state.barriers.push(deepClone(source));
+    });
+  }
+
   // Copy/paste logic for granular items
   function copyItem(ref) {
     const { type } = ref;
     if (type === 'cause') {
       const hazard = state.hazards[ref.hazardIndex];
       const item = hazard.causes[ref.rowIndex];
-      state.clipboard = { type: 'cause', data: deepClone(item) };
+      state.clipboard = { type: 'cause', data: deepClone(item), barriers: copiedBarriers(item) };
     } else if (type === 'consequence') {
       const hazard = state.hazards[ref.hazardIndex];
       const item = hazard.consequences[ref.rowIndex];
-      state.clipboard = { type: 'consequence', data: deepClone(item) };
+      state.clipboard = { type: 'consequence', data: deepClone(item), barriers: copiedBarriers(item) };
     } else if (type === 'measure') {
       const hazard = state.hazards[ref.hazardIndex];
       const owner = ref.ownerType === 'cause' ? hazard.causes[ref.rowIndex] : hazard.consequences[ref.rowIndex];
       const key = ref.ownerType === 'cause' ? 'preventionMeasures' : 'mitigationMeasures';
       const item = owner?.[key]?.[ref.measureIndex];
-      if (item) state.clipboard = { type: 'measure', ownerType: ref.ownerType, data: deepClone(item) };
+      if (item) state.clipboard = { type: 'measure', ownerType: ref.ownerType, data: deepClone(item), barriers: copiedBarriers(item) };
     } else if (type === 'recommendation') {
       const hazard = state.hazards[ref.hazardIndex];
       const item = hazard.recommendations[ref.recoIndex];
@@ -684,85 +2099,1787 @@
     const clip = state.clipboard;
     if (ref.type === 'cause' && clip.type === 'cause') {
       const hazard = state.hazards[ref.hazardIndex];
-      const clone = deepClone(clip.data); clone.id = generateId();
-      hazard.causes.splice(ref.rowIndex + 1, 0, clone);
-      scheduleSaveAndRerender();
+      const clone = withFreshIds(deepClone(clip.data));
+      if (!hazard.topEvents.some(t => t.id === clone.topEventId)) clone.topEventId = '';
+      mutate('Paste cause', () => {
+        adoptBarriers(clone, clip.barriers);
+        hazard.causes.splice(ref.rowIndex + 1, 0, clone);
+      });
     } else if (ref.type === 'consequence' && clip.type === 'consequence') {
       const hazard = state.hazards[ref.hazardIndex];
-      const clone = deepClone(clip.data); clone.id = generateId();
-      hazard.consequences.splice(ref.rowIndex + 1, 0, clone);
-      scheduleSaveAndRerender();
+      const clone = withFreshIds(deepClone(clip.data));
+      if (!hazard.topEvents.some(t => t.id === clone.topEventId)) clone.topEventId = '';
+      mutate('Paste consequence', () => {
+        adoptBarriers(clone, clip.barriers);
+        hazard.consequences.splice(ref.rowIndex + 1, 0, clone);
+      });
     } else if (ref.type === 'measure' && clip.type === 'measure' && ref.ownerType === clip.ownerType) {
       const hazard = state.hazards[ref.hazardIndex];
       const owner = ref.ownerType === 'cause' ? hazard.causes[ref.rowIndex] : hazard.consequences[ref.rowIndex];
       const key = ref.ownerType === 'cause' ? 'preventionMeasures' : 'mitigationMeasures';
-      const clone = deepClone(clip.data); clone.id = generateId();
-      owner[key].splice((ref.measureIndex ?? owner[key].length) + 1, 0, clone);
-      scheduleSaveAndRerender();
+      const clone = withFreshIds(deepClone(clip.data));
+      mutate('Paste measure', () => {
+        adoptBarriers(clone, clip.barriers);
+        owner[key].splice((ref.measureIndex ?? owner[key].length) + 1, 0, clone);
+      });
     } else if (ref.type === 'recommendation' && clip.type === 'recommendation') {
       const hazard = state.hazards[ref.hazardIndex];
-      const clone = deepClone(clip.data); clone.id = generateId();
-      hazard.recommendations.splice((ref.recoIndex ?? hazard.recommendations.length) + 1, 0, clone);
-      scheduleSaveAndRerender();
+      const clone = withFreshIds(deepClone(clip.data)); clone.number = nextRecommendationNumber();
+      mutate('Paste recommendation', () => { hazard.recommendations.splice((ref.recoIndex ?? hazard.recommendations.length) + 1, 0, clone); });
     }
   }
 
-  // Helpers: access and save/rerender
-  const hazards = (i) => state.hazards[i];
+  // System clipboard
+  // Copying a hazard puts it on the system clipboard as JSON, for pasting into
+  // another window of the app, and as a TSV and HTML table for Excel and Word.
+  // Text pasted into a cause, consequence, measure or recommendation becomes one
+  // item per line or row; an empty item takes the first line.
+  const HAZARD_CLIPBOARD_TYPE = 'application/x-hazid-hazard+json';
+
+  const escapeHtml = text => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+  // One row per cause or consequence line, as on the HAZID sheet
+  function hazardClipboardRows(hazard) {
+    const measureList = measures => measures.map(getMeasureText).filter(Boolean).join('; ');
+    const rows = [['Hazard', 'Top event', 'Cause', 'Prevention measures', 'Consequence', 'Mitigation measures', 'Risk', 'Recommendation']];
+    const count = Math.max(hazard.causes.length, hazard.consequences.length, hazard.recommendations.length, 1);
+    for (let i = 0; i < count; i += 1) {
+      const cause = hazard.causes[i];
+      const consequence = hazard.consequences[i];
+      const reco = hazard.recommendations[i];
+      rows.push([
+        i === 0 ? hazard.title : '',
+        i === 0 ? hazard.topEvents.map(t => t.text).filter(Boolean).join('; ') : '',
+        cause ? cause.text : '',
+        cause ? measureList(cause.preventionMeasures) : '',
+        consequence ? consequence.text : '',
+        consequence ? measureList(consequence.mitigationMeasures) : '',
+        consequence ? describeRiskScore(consequence.risk) : '',
+        reco ? `${formatRecommendationNumber(reco)} ${reco.action}`.trim() : ''
+      ]);
+    }
+    return rows;
+  }
 
-  let rerenderTimer = null;
-  function scheduleSave() {
-    if (state.autosave) persist.save({ hazards: state.hazards, riskMatrix: state.riskMatrix, compactMode: state.compactMode, bowtieColors: state.bowtieColors });
+  function copyHazardToSystemClipboard(hazard, barriers) {
+    const rows = hazardClipboardRows(hazard);
+    const onCopy = (e) => {
+      e.preventDefault();
+      e.clipboardData.setData(HAZARD_CLIPBOARD_TYPE, JSON.stringify({ schemaVersion: SCHEMA_VERSION, hazard, barriers }));
+      e.clipboardData.setData('text/plain', rows.map(row => row.map(cell => String(cell).replace(/[\t\r\n]+/g, ' ')).join('\t')).join('\n'));
+      e.clipboardData.setData('text/html', `<table>${rows.map((row, r) =>
+        `<tr>${row.map(cell => (r === 0 ? `<th>${escapeHtml(cell)}</th>` : `<td>${escapeHtml(cell)}</td>`)).join('')}</tr>`).join('')}</table>`);
+    };
+    document.addEventListener('copy', onCopy);
+    try {
+      document.execCommand('copy');
+    } finally {
+      document.removeEventListener('copy', onCopy);
+    }
   }
-  function scheduleSaveAndRerender() {
-    scheduleSave();
-    clearTimeout(rerenderTimer);
-    rerenderTimer = setTimeout(() => {
-      const container = byId('table-container');
-      container.innerHTML = '';
-      renderTable(container);
-    }, 0);
+
+  // A hazard copied in another window is checked like an imported document, against
+  // the open study's risk matrix and barriers, before it is pasted below the given hazard
+  function pasteHazardFromSystemClipboard(json, hazardIndex) {
+    try {
+      const payload = JSON.parse(json);
+      // Only the copied hazard and its barriers go through the migrations from the copy's version
+      const copied = migrateDocument({ schemaVersion: payload.schemaVersion, hazards: [payload.hazard], barriers: payload.barriers || [] });
+      const current = deepClone(documentState());
+      const copiedBarriers = (copied.barriers || []).filter(barrier => !isPlainObject(barrier) || !current.barriers.some(b => b.id === barrier.id));
+      const doc = parseDocument({
+        ...current,
+        schemaVersion: SCHEMA_VERSION,
+        hazards: [{ ...copied.hazards[0], nodeId: state.hazards[hazardIndex].nodeId }],
+        barriers: [...current.barriers, ...copiedBarriers]
+      });
+      const barrierIds = new Set((copied.barriers || []).map(barrier => barrier && barrier.id));
+      pasteHazard(hazardIndex, { type: 'hazard', data: doc.hazards[0], barriers: doc.barriers.filter(barrier => barrierIds.has(barrier.id)) });
+    } catch (e) {
+      alert('Could not paste the copied hazard: ' + e.message);
+    }
   }
 
-  // Global UI actions
-  function wireGlobalActions() {
-    // Tab switching
-    byId('tab-hazards').addEventListener('click', () => switchTab('hazards'));
-    byId('tab-risk-matrix').addEventListener('click', () => switchTab('risk-matrix'));
+  // Lines of pasted text, split into cells at tabs; list bullets and numbers from Word are dropped
+  function parseClipboardRows(text) {
+    return text.replace(/\r\n?/g, '\n').split('\n')
+      .map((line) => {
+        const cells = line.split('\t').map(cell => cell.trim());
+        while (cells.length > 1 && /^([•·▪◦*–-]|\d+[.)])$/.test(cells[0])) cells.shift();
+        cells[0] = cells[0].replace(/^[•·▪◦]\s*/, '');
+        return cells;
+      })
+      .filter(cells => cells.some(Boolean));
+  }
 
-    byId('add-hazard').addEventListener('click', () => {
-      state.hazards.push(createHazard());
-      scheduleSaveAndRerender();
-    });
+  // Sets an item's text from a row of cells: recommendations take the action and the responsible party
+  function fillItemFromCells(item, type, cells) {
+    if (type === 'measure') item.barrierId = cells[0] ? barrierForName(cells[0]).id : '';
+    else if (type === 'recommendation') {
+      item.action = cells[0];
+      if (cells[1]) item.responsible = cells[1];
+    } else item.text = cells[0];
+  }
 
-    byId('clear-all').addEventListener('click', () => {
-      if (!confirm('Clear all data?')) return;
-      state.hazards = [];
-      persist.save({ hazards: state.hazards, riskMatrix: state.riskMatrix });
-      scheduleSaveAndRerender();
+  function pasteRows(ref, field, rows) {
+    const list = dragList(ref);
+    const current = list && list[ref.index];
+    if (!current) return;
+    const fillCurrent = !field.value.trim();
+    mutate(`Paste ${rows.length} ${ref.type} line(s)`, () => {
+      const added = (fillCurrent ? rows.slice(1) : rows).map((cells, i) => {
+        const item = ref.type === 'recommendation' ? createRecommendation(nextRecommendationNumber() + i) : createItemLike(ref, list);
+        fillItemFromCells(item, ref.type, cells);
+        return item;
+      });
+      if (fillCurrent) fillItemFromCells(current, ref.type, rows[0]);
+      list.splice(ref.index + 1, 0, ...added);
+      focusItemAfterRender({ ...ref, index: ref.index + added.length });
     });
+  }
 
-    byId('autosave-toggle').addEventListener('change', (e) => {
-      state.autosave = !!e.target.checked;
-      if (state.autosave) persist.save({ hazards: state.hazards, riskMatrix: state.riskMatrix });
+  function wireSystemClipboard() {
+    byId('table-container').addEventListener('paste', (e) => {
+      const field = e.target;
+      const tr = field.closest && field.closest('tr[data-hazard-index]');
+      if (!tr || !e.clipboardData) return;
+      const json = e.clipboardData.getData(HAZARD_CLIPBOARD_TYPE);
+      if (json) {
+        e.preventDefault();
+        pasteHazardFromSystemClipboard(json, Number(tr.dataset.hazardIndex));
+        return;
+      }
+      // Only the item's own text field splits pasted lines, not its escalation factors or other fields
+      const el = itemElementOf(field);
+      const ref = el && itemRefs.get(el);
+      if (!ref || ref.empty || ref.type === 'hazard' || gridFields(el).find(f => f.type === 'text') !== field) return;
+      const text = e.clipboardData.getData('text/plain');
+      if (!/[\t\n]/.test(text.trim())) return;
+      const rows = parseClipboardRows(text);
+      if (rows.length === 0) return;
+      e.preventDefault();
+      pasteRows(ref, field, rows);
     });
+  }
 
-    byId('compact-mode').addEventListener('change', (e) => {
-      state.compactMode = !!e.target.checked;
-      document.body.classList.toggle('compact-mode', state.compactMode);
-      scheduleSaveAndRerender(); // Re-render to update button styles
-    });
+  // Drag and drop
+  // Causes, consequences, measures and recommendations are dragged by their handle
+  // onto another item of the same kind, in the same hazard or another one, and land
+  // before or after it depending on which half they are dropped on. Prevention
+  // measures move between causes and mitigation measures between consequences.
+  // Each move is one undo step, and the re-render realigns the segments.
+  let dragSource = null; // { type, hazardIndex, ownerType?, rowIndex?, index } of the item being dragged
+
+  // The list a drag reference points into
+  function dragList(ref) {
+    const hazard = state.hazards[ref.hazardIndex];
+    if (!hazard) return null;
+    if (ref.type === 'cause') return hazard.causes;
+    if (ref.type === 'consequence') return hazard.consequences;
+    if (ref.type === 'recommendation') return hazard.recommendations;
+    const owner = ref.ownerType === 'cause' ? hazard.causes[ref.rowIndex] : hazard.consequences[ref.rowIndex];
+    return owner ? owner[ref.ownerType === 'cause' ? 'preventionMeasures' : 'mitigationMeasures'] : null;
+  }
+
+  const canDrop = (from, to) => !!from && from.type === to.type && from.ownerType === to.ownerType;
+
+  function renderDragHandle(ref) {
+    return createEl('span', {
+      class: 'drag-handle',
+      draggable: 'true',
+      title: 'Drag to move',
+      text: '⠿',
+      ondragstart: (e) => {
+        dragSource = ref;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', ref.type);
+      },
+      ondragend: () => {
+        dragSource = null;
+        qsa('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+      }
+    });
+  }
+
+  // Drops on an empty list (a cell with only its add button) insert at ref.index
+  function makeDropTarget(el, ref, { empty = false } = {}) {
+    markItem(el, empty ? { ...ref, empty } : ref);
+    const insertionIndex = (e) => {
+      if (empty) return ref.index;
+      const rect = el.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2 ? ref.index : ref.index + 1;
+    };
+    el.addEventListener('dragover', (e) => {
+      if (!canDrop(dragSource, ref)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.dataTransfer.dropEffect = 'move';
+      const after = insertionIndex(e) > ref.index;
+      el.classList.toggle('drop-before', !after);
+      el.classList.toggle('drop-after', after);
+    });
+    el.addEventListener('dragleave', () => el.classList.remove('drop-before', 'drop-after'));
+    el.addEventListener('drop', (e) => {
+      if (!canDrop(dragSource, ref)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      el.classList.remove('drop-before', 'drop-after');
+      const from = dragSource;
+      dragSource = null;
+      moveItem(from, { ...ref, index: insertionIndex(e) });
+    });
+  }
+
+  // Moves the item at `from` to position `to.index` of the list at `to`
+  function moveItem(from, to) {
+    const source = dragList(from);
+    const target = dragList(to);
+    if (!source || !target || !source[from.index]) return;
+    let index = to.index;
+    if (source === target && from.index < index) index -= 1;
+    if (source === target && index === from.index) return;
+    const sourceHazard = state.hazards[from.hazardIndex];
+    const targetHazard = state.hazards[to.hazardIndex];
+    mutate(`Move ${from.type}`, () => {
+      const [item] = source.splice(from.index, 1);
+      target.splice(index, 0, item);
+      if (sourceHazard === targetHazard) return;
+      // Links and top events only reach within their own hazard
+      if (from.type === 'recommendation') {
+        item.links = [];
+        return;
+      }
+      const movedIds = new Set([item.id, ...measuresIn(item).map(m => m.id)]);
+      sourceHazard.recommendations.forEach((reco) => {
+        reco.links = reco.links.filter(link => !movedIds.has(link.id));
+      });
+      if ('topEventId' in item && !targetHazard.topEvents.some(t => t.id === item.topEventId)) item.topEventId = '';
+    });
+  }
+
+  // Keyboard layer
+  // Fields of the Hazards table form a grid: Tab, Enter and the arrow keys move
+  // between cells and segments, and item shortcuts act on the hazard, cause,
+  // consequence, measure or recommendation the focused field belongs to.
+  const TABLE_SHORTCUTS = [
+    { keys: 'Tab / Shift+Tab', action: 'Next / previous cell along the row' },
+    { keys: 'Enter / Shift+Enter', action: 'Field below / above' },
+    { keys: '↑ ↓', action: 'Field below / above (in text fields without suggestions)' },
+    { keys: '← →', action: 'Previous / next cell once the caret is at the start or end of the text' },
+    { keys: 'Alt+Arrow keys', action: 'Move from any field, including lists and descriptions' },
+    { keys: 'Ctrl+Enter', action: 'Insert a new item below this one' },
+    { keys: 'Alt+A', action: 'Add a new item at the end of this cell' },
+    { keys: 'Alt+Shift+D', action: 'Duplicate this item' },
+    { keys: 'Alt+C / Alt+V', action: 'Copy this item / paste the copied item below it' },
+    { keys: 'Alt+Delete', action: 'Remove this item' },
+    { keys: 'Ctrl+Z / Ctrl+Shift+Z', action: 'Undo / redo' },
+    { keys: '? or Ctrl+/', action: 'Show these shortcuts' }
+  ];
+
+  // Item each table element stands for: { type: 'hazard' | 'cause' | 'consequence' | 'measure' | 'recommendation',
+  // hazardIndex, ownerType?, rowIndex?, index, empty? } (empty marks a cell with no items yet)
+  const itemRefs = new WeakMap();
+  const itemKey = ref => [ref.type, ref.hazardIndex, ref.ownerType || '', ref.rowIndex ?? '', ref.index ?? ''].join(':');
+  let pendingFocus = null; // item whose first field takes the focus after the next render
+
+  function markItem(el, ref) {
+    itemRefs.set(el, ref);
+    el.dataset.itemKey = itemKey(ref);
+  }
+
+  function itemElementOf(field) {
+    for (let el = field; el; el = el.parentElement) {
+      if (itemRefs.has(el)) return el;
+    }
+    return null;
+  }
+
+  const itemOf = field => itemRefs.get(itemElementOf(field)) || null;
+
+  function focusItemAfterRender(ref) {
+    pendingFocus = ref;
+  }
+
+  function focusPendingItem(root) {
+    if (!pendingFocus) return;
+    const tr = renderedRow(qs(`tr[data-hazard-index="${pendingFocus.hazardIndex}"]`, root));
+    const el = tr && qs(`[data-item-key="${itemKey(pendingFocus)}"]`, tr);
+    pendingFocus = null;
+    const field = el && gridFields(el)[0];
+    if (field) focusField(field);
+  }
+
+  // Editable fields in display order; fields of closed barrier details are skipped
+  const gridFields = root => qsa('input, textarea, select', root).filter(f =>
+    f.type !== 'checkbox' && f.type !== 'hidden' && !f.disabled && !(f.closest('details') && !f.closest('details').open));
+
+  function focusField(field, caretAtStart = false) {
+    field.focus();
+    if (field.tagName === 'INPUT' && field.type === 'text') {
+      const caret = caretAtStart ? 0 : field.value.length;
+      field.setSelectionRange(caret, caret);
+    }
+  }
+
+  // The focused table field by position (hazard row, column, field within the cell),
+  // so it keeps the focus and caret when the table is rebuilt under it
+  function captureTableFocus(container) {
+    const field = document.activeElement;
+    const tr = field && container.contains(field) ? field.closest('tr[data-hazard-index]') : null;
+    if (!tr) return null;
+    const td = field.closest('td');
+    return {
+      hazardIndex: tr.dataset.hazardIndex,
+      column: [...tr.children].indexOf(td),
+      position: gridFields(td).indexOf(field),
+      selection: field.tagName === 'TEXTAREA' || field.type === 'text' ? [field.selectionStart, field.selectionEnd] : null
+    };
+  }
+
+  function restoreTableFocus(container, focus) {
+    if (!focus || container.contains(document.activeElement)) return;
+    const tr = renderedRow(qs(`tr[data-hazard-index="${focus.hazardIndex}"]`, container));
+    const field = tr && tr.children[focus.column] && gridFields(tr.children[focus.column])[focus.position];
+    if (!field) return;
+    field.focus();
+    if (focus.selection && (field.tagName === 'TEXTAREA' || field.type === 'text')) field.setSelectionRange(...focus.selection);
+  }
+
+  // Nearest hazard row above or below, skipping node rows
+  function adjacentHazardRow(tr, step) {
+    let row = step > 0 ? tr.nextElementSibling : tr.previousElementSibling;
+    while (row && !row.dataset.hazardIndex) row = step > 0 ? row.nextElementSibling : row.previousElementSibling;
+    return renderedRow(row);
+  }
+
+  // Field of the cell on the same segment line as the field being left, so a
+  // consequence moves to its own measures and risk rankings; null when that
+  // segment has no fields, such as a cause without measures
+  function fieldOnLine(td, line) {
+    const segments = qsa('.segment[data-seg-index]', td);
+    if (segments.length === 0) return gridFields(td)[0] || null;
+    const segment = segments.find(seg => Number(seg.dataset.segIndex) === line) || segments[segments.length - 1];
+    return gridFields(segment)[0] || null;
+  }
+
+  function findNeighbourField(field, direction) {
+    const td = field.closest('td');
+    const tr = td.parentElement;
+    const cells = [...tr.children];
+    const column = cells.indexOf(td);
+    const inCell = gridFields(td);
+    const position = inCell.indexOf(field);
+    if (direction === 'down' || direction === 'up') {
+      const step = direction === 'down' ? 1 : -1;
+      if (inCell[position + step]) return inCell[position + step];
+      const row = adjacentHazardRow(tr, step);
+      const fields = row ? gridFields(row.children[column]) : [];
+      return step > 0 ? fields[0] : fields[fields.length - 1];
+    }
+    const step = direction === 'right' || direction === 'next' ? 1 : -1;
+    const segment = field.closest('.segment[data-seg-index]');
+    const line = segment ? Number(segment.dataset.segIndex) : 0;
+    for (let c = column + step; c >= 0 && c < cells.length; c += step) {
+      const next = fieldOnLine(cells[c], line);
+      if (next) return next;
+    }
+    if (direction !== 'next' && direction !== 'prev') return null;
+    // Tab wraps to the neighbouring hazard row
+    const row = adjacentHazardRow(tr, step);
+    if (!row) return null;
+    const fields = gridFields(row);
+    return step > 0 ? fields[0] : fields[fields.length - 1];
+  }
+
+  // Direction a key moves in from the field, or null when the key is the field's own
+  function navigationKey(e, field) {
+    if (e.ctrlKey || e.metaKey) return null;
+    const isText = field.tagName === 'INPUT' && field.type === 'text';
+    if (e.key === 'Tab' && !e.altKey) return e.shiftKey ? 'prev' : 'next';
+    if (e.key === 'Enter' && !e.altKey && field.tagName !== 'TEXTAREA') return e.shiftKey ? 'up' : 'down';
+    const arrows = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+    const direction = arrows[e.key];
+    if (!direction || e.shiftKey) return null;
+    if (e.altKey) return direction;
+    if (!isText) return null;
+    if (direction === 'up' || direction === 'down') return field.hasAttribute('list') ? null : direction;
+    if (field.selectionStart !== field.selectionEnd) return null;
+    if (direction === 'left') return field.selectionStart === 0 ? direction : null;
+    return field.selectionEnd === field.value.length ? direction : null;
+  }
+
+  // Copy and paste work on clipboard references
+  const clipboardRef = ref => (ref.type === 'measure'
+    ? { type: 'measure', ownerType: ref.ownerType, hazardIndex: ref.hazardIndex, rowIndex: ref.rowIndex, measureIndex: ref.index }
+    : { type: ref.type, hazardIndex: ref.hazardIndex, rowIndex: ref.index, recoIndex: ref.index });
+
+  function createItemLike(ref, list) {
+    if (ref.type === 'cause') return createCause(list[ref.index]?.topEventId || '');
+    if (ref.type === 'consequence') return createConsequence(list[ref.index]?.topEventId || '');
+    if (ref.type === 'measure') return createMeasure();
+    return createRecommendation();
+  }
+
+  // New item below ref, or at the end of its cell (atEnd), focused once rendered
+  function insertItem(ref, atEnd) {
+    if (ref.type === 'hazard') {
+      const { nodeId } = state.hazards[ref.hazardIndex];
+      const lastInNode = state.hazards.reduce((last, h, i) => (h.nodeId === nodeId ? i : last), ref.hazardIndex);
+      const index = (atEnd ? lastInNode : ref.hazardIndex) + 1;
+      mutate('Add hazard', () => { state.hazards.splice(index, 0, createHazard(nodeId)); });
+      focusItemAfterRender({ type: 'hazard', hazardIndex: index });
+      return;
+    }
+    const list = dragList(ref);
+    if (!list) return;
+    const index = atEnd || ref.empty ? list.length : ref.index + 1;
+    const item = createItemLike(ref, list);
+    mutate(`Add ${ref.type}`, () => { list.splice(index, 0, item); });
+    focusItemAfterRender({ ...ref, index, empty: false });
+  }
+
+  function removeItem(ref) {
+    if (ref.empty) return;
+    if (ref.type === 'hazard') {
+      mutate('Remove hazard', () => { state.hazards.splice(ref.hazardIndex, 1); });
+      if (state.hazards.length > 0) focusItemAfterRender({ type: 'hazard', hazardIndex: Math.min(ref.hazardIndex, state.hazards.length - 1) });
+      return;
+    }
+    const list = dragList(ref);
+    if (!list || !list[ref.index]) return;
+    mutate(`Remove ${ref.type}`, () => { list.splice(ref.index, 1); });
+    focusItemAfterRender({ ...ref, index: Math.max(Math.min(ref.index, list.length - 1), 0) });
+  }
+
+  function copyRef(ref) {
+    if (ref.empty) return;
+    if (ref.type === 'hazard') copyHazard(ref.hazardIndex);
+    else copyItem(clipboardRef(ref));
+  }
+
+  function pasteRef(ref) {
+    const clip = state.clipboard;
+    if (!clip || clip.type !== ref.type || clip.ownerType !== ref.ownerType || ref.empty) return;
+    if (ref.type === 'hazard') pasteHazard(ref.hazardIndex);
+    else pasteItem(clipboardRef(ref));
+    focusItemAfterRender(ref.type === 'hazard' ? { type: 'hazard', hazardIndex: ref.hazardIndex + 1 } : { ...ref, index: ref.index + 1 });
+  }
+
+  // Duplicates go through copy and paste, leaving the clipboard as it was
+  function duplicateRef(ref) {
+    if (ref.empty) return;
+    if (ref.type === 'hazard') {
+      duplicateHazard(ref.hazardIndex);
+      focusItemAfterRender({ type: 'hazard', hazardIndex: ref.hazardIndex + 1 });
+      return;
+    }
+    const saved = state.clipboard;
+    copyRef(ref);
+    pasteRef(ref);
+    state.clipboard = saved;
+  }
+
+  function itemCommand(e) {
+    if (e.ctrlKey && !e.altKey && !e.shiftKey && e.key === 'Enter') return ref => insertItem(ref, false);
+    if (!e.altKey || e.ctrlKey || e.metaKey) return null;
+    const commands = {
+      KeyA: ref => insertItem(ref, true),
+      // Alt+D alone is left to the browser, which uses it to focus the address bar
+      KeyD: e.shiftKey ? duplicateRef : null,
+      KeyC: copyRef,
+      KeyV: pasteRef,
+      Delete: removeItem
+    };
+    return commands[e.code] || null;
+  }
+
+  function showShortcuts() {
+    const modal = byId('shortcuts-modal');
+    const table = byId('shortcuts-table');
+    table.replaceChildren(...TABLE_SHORTCUTS.map(({ keys, action }) => createEl('tr', {}, [
+      createEl('th', {}, [createEl('kbd', { text: keys })]),
+      createEl('td', { text: action })
+    ])));
+    modal.style.display = 'block';
+  }
+
+  function wireTableKeyboard() {
+    byId('table-container').addEventListener('keydown', (e) => {
+      const field = e.target;
+      if (!field.matches('input, textarea, select') || !field.closest('tr[data-hazard-index]')) return;
+      const direction = navigationKey(e, field);
+      if (direction) {
+        const next = findNeighbourField(field, direction);
+        if (!next) return;
+        e.preventDefault();
+        focusField(next, direction === 'left' || direction === 'prev');
+        return;
+      }
+      const command = itemCommand(e);
+      const ref = command && itemOf(field);
+      if (!ref) return;
+      e.preventDefault();
+      command(ref);
+    });
+
+    const modal = byId('shortcuts-modal');
+    const close = () => { modal.style.display = 'none'; };
+    modal.querySelector('.close').onclick = close;
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    byId('show-shortcuts').addEventListener('click', showShortcuts);
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && modal.style.display === 'block') {
+        close();
+        return;
+      }
+      const typing = e.target.matches && e.target.matches('input, textarea, select');
+      if (((e.ctrlKey || e.metaKey) && e.key === '/') || (e.key === '?' && !typing)) {
+        e.preventDefault();
+        showShortcuts();
+      }
+    });
+  }
+
+  // Helpers: access and save/rerender
+  const hazards = (i) => state.hazards[i];
+
+  let rerenderTimer = null;
+  function scheduleSave() {
+    if (!state.autosave) return;
+    persist.save(state.studyId, serializeDocument());
+    const entry = state.studies.find(st => st.id === state.studyId);
+    if (entry) {
+      entry.name = state.study.name;
+      entry.updatedAt = new Date().toISOString();
+    }
+    saveStudyIndex();
+  }
+  function scheduleSaveAndRerender() {
+    scheduleSave();
+    scheduleRerender();
+  }
+  // View state such as the filters only needs the table re-rendered
+  function scheduleRerender() {
+    clearTimeout(rerenderTimer);
+    rerenderTimer = setTimeout(() => {
+      const container = byId('table-container');
+      const focus = captureTableFocus(container);
+      renderTable(container);
+      restoreTableFocus(container, focus);
+    }, 0);
+  }
+
+  // Undo/redo history
+  // Each entry holds a snapshot of the document taken just before a change.
+  // Text edits pass a coalesce key so a run of keystrokes in one field is a
+  // single undo step; the run ends when the field loses focus.
+  const HISTORY_LIMIT = 100;
+
+  const editHistory = {
+    undoStack: [],
+    redoStack: [],
+    coalesceKey: null,
+    record(label, coalesceKey = null) {
+      if (coalesceKey && coalesceKey === this.coalesceKey) return;
+      this.undoStack.push({ label, snapshot: snapshotDocument() });
+      if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+      this.redoStack = [];
+      this.coalesceKey = coalesceKey;
+      updateHistoryButtons();
+    },
+    breakCoalescing() {
+      this.coalesceKey = null;
+    },
+    undo() {
+      const entry = this.undoStack.pop();
+      if (!entry) return;
+      this.redoStack.push({ label: entry.label, snapshot: snapshotDocument() });
+      this.coalesceKey = null;
+      restoreDocument(entry.snapshot);
+      updateHistoryButtons();
+    },
+    redo() {
+      const entry = this.redoStack.pop();
+      if (!entry) return;
+      this.undoStack.push({ label: entry.label, snapshot: snapshotDocument() });
+      this.coalesceKey = null;
+      restoreDocument(entry.snapshot);
+      updateHistoryButtons();
+    },
+    clear() {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.coalesceKey = null;
+      updateHistoryButtons();
+    }
+  };
+
+  function snapshotDocument() {
+    return deepClone(documentState());
+  }
+
+  function restoreDocument(snapshot) {
+    Object.assign(state, snapshot);
+    scheduleSaveAndRerender();
+    renderRiskMatrixConfig();
+    renderStudyPanel();
+    renderGuidewordPanel();
+    renderActionsPanel();
+    renderBarrierPanel();
+  }
+
+  // Apply a structural change as one undoable step, then save and re-render
+  function mutate(label, fn) {
+    editHistory.record(label);
+    fn();
+    scheduleSaveAndRerender();
+  }
+
+  // Record an undo step for a text field before its first keystroke
+  function recordEdit(key) {
+    editHistory.record('Edit text', key);
+  }
+
+  function updateHistoryButtons() {
+    const undoBtn = byId('undo');
+    const redoBtn = byId('redo');
+    const lastUndo = editHistory.undoStack[editHistory.undoStack.length - 1];
+    const lastRedo = editHistory.redoStack[editHistory.redoStack.length - 1];
+    undoBtn.disabled = !lastUndo;
+    redoBtn.disabled = !lastRedo;
+    undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+
+  // Study manager
+  const STUDY_META_FIELDS = [
+    { key: 'name', label: 'Study name' },
+    { key: 'facility', label: 'Facility' },
+    { key: 'node', label: 'Node / system' },
+    { key: 'revision', label: 'Revision' },
+    { key: 'date', label: 'Date', type: 'date' },
+    { key: 'facilitator', label: 'Facilitator' },
+    { key: 'scribe', label: 'Scribe' }
+  ];
+
+  // Moves data saved before studies existed into the first study
+  function migrateLegacyStorage() {
+    const legacy = persist.read(STORAGE_KEY);
+    const id = generateId();
+    if (legacy) {
+      persist.save(id, legacy);
+      localStorage.removeItem(STORAGE_KEY);
+    }
+    const index = {
+      activeStudyId: id,
+      compactMode: !!(legacy && legacy.compactMode),
+      studies: [{ id, name: createStudyMeta().name, updatedAt: new Date().toISOString() }]
+    };
+    persist.saveIndex(index);
+    return index;
+  }
+
+  function saveStudyIndex() {
+    persist.saveIndex({ activeStudyId: state.studyId, compactMode: state.compactMode, studies: state.studies });
+  }
+
+  // Replace the document in state with the saved study, falling back to a blank one
+  function loadStudy(studyId) {
+    state.studyId = studyId;
+    state.study = createStudyMeta();
+    state.nodes = [];
+    state.hazards = [];
+    state.barriers = [];
+    state.riskMatrix = createDefaultRiskMatrix();
+    state.bowtieColors = null;
+    state.guidewordLibrary = createDefaultGuidewordLibrary();
+    state.guidewordReviews = [];
+    state.riskFilter = null;
+    state.hazardFilter = { ...createHazardFilter(), exportFiltered: state.hazardFilter.exportFiltered };
+
+    const saved = persist.load(studyId);
+    if (saved) {
+      try {
+        applyDocument(parseDocument(saved));
+      } catch (e) {
+        // Keep the unreadable data aside rather than overwriting it on the next save
+        console.error('Saved study is invalid', e);
+        persist.stashRejected(studyId, saved);
+        alert(`Saved study could not be loaded and was moved to "${STUDY_KEY_PREFIX}${studyId}_rejected".\n\n${e.message}`);
+      }
+    }
+
+    if (state.nodes.length === 0) state.nodes.push(createNode('General'));
+    if (state.hazards.length === 0) state.hazards.push(createStarterHazard(state.nodes[0].id));
+    if (Object.keys(state.riskMatrix.matrix).length === 0) updateRiskMatrix();
+  }
+
+  function openStudy(studyId) {
+    if (studyId === state.studyId) return;
+    if (!state.autosave && !confirm('Autosave is off. Unsaved changes to the current study will be lost. Continue?')) {
+      renderStudySwitcher();
+      return;
+    }
+    loadStudy(studyId);
+    saveStudyIndex();
+    editHistory.clear();
+    scheduleSaveAndRerender();
+    renderRiskMatrixConfig();
+    renderStudyPanel();
+    renderGuidewordPanel();
+  }
+
+  // Store a document as a new study, listed after `afterId` when given
+  function addStudy(doc, afterId = null) {
+    const id = generateId();
+    persist.save(id, doc);
+    const entry = { id, name: doc.study.name, updatedAt: new Date().toISOString() };
+    const afterIndex = state.studies.findIndex(st => st.id === afterId);
+    if (afterIndex >= 0) state.studies.splice(afterIndex + 1, 0, entry);
+    else state.studies.push(entry);
+    saveStudyIndex();
+    return id;
+  }
+
+  function createBlankStudyDocument(name) {
+    const node = createNode('General');
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      study: { ...createStudyMeta(), name },
+      nodes: [node],
+      hazards: [createStarterHazard(node.id)],
+      barriers: [],
+      riskMatrix: createDefaultRiskMatrix(),
+      bowtieColors: null,
+      guidewordLibrary: createDefaultGuidewordLibrary(),
+      guidewordReviews: []
+    };
+  }
+
+  // Saved study as a current-version document; the open study comes from state
+  function readStudyDocument(studyId) {
+    if (studyId === state.studyId) return deepClone(serializeDocument());
+    const saved = persist.load(studyId);
+    return saved ? parseDocument(saved) : null;
+  }
+
+  function createStudy() {
+    const name = prompt('Name of the new study:', 'New study');
+    if (name === null || !name.trim()) return;
+    openStudy(addStudy(createBlankStudyDocument(name.trim())));
+  }
+
+  function renameStudy(studyId) {
+    const entry = state.studies.find(st => st.id === studyId);
+    const name = prompt('Rename study:', entry.name);
+    if (name === null || !name.trim()) return;
+    entry.name = name.trim();
+    if (studyId === state.studyId) {
+      editHistory.record('Rename study');
+      state.study.name = entry.name;
+      scheduleSave();
+    } else {
+      try {
+        const doc = readStudyDocument(studyId) || createBlankStudyDocument(entry.name);
+        doc.study.name = entry.name;
+        persist.save(studyId, doc);
+      } catch (e) {
+        alert('Failed to rename study: ' + e.message);
+      }
+    }
+    saveStudyIndex();
+    renderStudyPanel();
+  }
+
+  function duplicateStudy(studyId) {
+    try {
+      const entry = state.studies.find(st => st.id === studyId);
+      const doc = readStudyDocument(studyId) || createBlankStudyDocument(entry.name);
+      doc.study.name = `${entry.name} (copy)`;
+      addStudy(doc, studyId);
+      renderStudyPanel();
+    } catch (e) {
+      alert('Failed to duplicate study: ' + e.message);
+    }
+  }
+
+  function deleteStudy(studyId) {
+    const entry = state.studies.find(st => st.id === studyId);
+    if (!confirm(`Delete study "${entry.name}"? This cannot be undone.`)) return;
+    persist.remove(studyId);
+    state.studies = state.studies.filter(st => st.id !== studyId);
+    if (state.studies.length === 0) addStudy(createBlankStudyDocument(createStudyMeta().name));
+    if (studyId === state.studyId) {
+      // Switch without the autosave prompt; the deleted study has nothing left to save
+      loadStudy(state.studies[0].id);
+      editHistory.clear();
+      scheduleSaveAndRerender();
+      renderRiskMatrixConfig();
+      renderGuidewordPanel();
+    }
+    saveStudyIndex();
+    renderStudyPanel();
+  }
+
+  function importStudyFromJSON(data, fileName) {
+    const doc = parseDocument(data);
+    if (doc.study.name === createStudyMeta().name && fileName) doc.study.name = fileName.replace(/\.json$/i, '');
+    openStudy(addStudy(doc));
+  }
+
+  // Base name for exported files, taken from the study name
+  function studyFileName() {
+    return state.study.name.trim().replace(/[^\w\-]+/g, '_').replace(/^_+|_+$/g, '') || 'hazid';
+  }
+
+  function renderStudyPanel() {
+    renderStudySwitcher();
+    renderStudyMetaForm();
+    renderStudyList();
+  }
+
+  function renderStudySwitcher() {
+    const select = byId('study-select');
+    select.innerHTML = '';
+    state.studies.forEach((st) => {
+      const option = createEl('option', { value: st.id, text: st.name });
+      if (st.id === state.studyId) option.selected = true;
+      select.append(option);
+    });
+  }
+
+  function renderStudyMetaForm() {
+    const container = byId('study-meta-form');
+    container.innerHTML = '';
+    STUDY_META_FIELDS.forEach(({ key, label, type }) => {
+      const input = createEl('input', {
+        type: type || 'text',
+        value: state.study[key] || '',
+        placeholder: label,
+        oninput: (e) => {
+          recordEdit(`study:${key}`);
+          state.study[key] = e.target.value;
+          scheduleSave();
+          if (key === 'name') {
+            state.studies.find(st => st.id === state.studyId).name = e.target.value;
+            renderStudySwitcher();
+            renderStudyList();
+          }
+        }
+      });
+      container.append(createEl('label', { class: 'study-meta-field' }, [createEl('span', { text: label }), input]));
+    });
+  }
+
+  function renderStudyList() {
+    const container = byId('study-list-table');
+    container.innerHTML = '';
+    const table = createEl('table', { class: 'study-list-table' });
+    const headerRow = createEl('tr');
+    ['Study', 'Last saved', ''].forEach(text => headerRow.append(createEl('th', { text })));
+    table.append(createEl('thead', {}, [headerRow]));
+
+    const tbody = createEl('tbody');
+    state.studies.forEach((st) => {
+      const isActive = st.id === state.studyId;
+      const row = createEl('tr', { class: isActive ? 'active-study' : '' });
+      row.append(createEl('td', { text: isActive ? `${st.name} (open)` : st.name }));
+      row.append(createEl('td', { text: st.updatedAt ? new Date(st.updatedAt).toLocaleString() : '' }));
+      const open = createEl('button', { class: 'icon primary', text: 'Open', onclick: () => openStudy(st.id) });
+      open.disabled = isActive;
+      const actions = createEl('div', { class: 'inline-controls' }, [
+        open,
+        createEl('button', { class: 'icon', text: 'Rename', onclick: () => renameStudy(st.id) }),
+        createEl('button', { class: 'icon', text: 'Duplicate', onclick: () => duplicateStudy(st.id) }),
+        createEl('button', { class: 'icon danger', text: 'Delete', onclick: () => deleteStudy(st.id) })
+      ]);
+      row.append(createEl('td', {}, [actions]));
+      tbody.append(row);
+    });
+    table.append(tbody);
+    container.append(table);
+  }
+
+  // Action tracker
+  // Recommendations double as close-out actions. Each has a study-wide number;
+  // the Actions tab lists them across hazards with sorting and filtering.
+  const RECOMMENDATION_STATUSES = ['open', 'in-progress', 'closed', 'rejected'];
+  const RECOMMENDATION_STATUS_LABELS = { open: 'Open', 'in-progress': 'In progress', closed: 'Closed', rejected: 'Rejected' };
+  const RECOMMENDATION_PRIORITIES = ['high', 'medium', 'low'];
+  const RECOMMENDATION_PRIORITY_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
+
+  function nextRecommendationNumber() {
+    let highest = 0;
+    state.hazards.forEach(hazard => (hazard.recommendations || []).forEach((reco) => {
+      if (Number.isInteger(reco.number) && reco.number > highest) highest = reco.number;
+    }));
+    return highest + 1;
+  }
+
+  // Keep the first use of each number; missing or repeated numbers get new ones after the highest
+  function numberRecommendations(hazardList) {
+    const recos = hazardList.flatMap(hazard => (Array.isArray(hazard.recommendations) ? hazard.recommendations : []).filter(isPlainObject));
+    let highest = recos.reduce((max, reco) => (Number.isInteger(reco.number) && reco.number > max ? reco.number : max), 0);
+    const seen = new Set();
+    recos.forEach((reco) => {
+      if (!Number.isInteger(reco.number) || reco.number < 1 || seen.has(reco.number)) reco.number = ++highest;
+      seen.add(reco.number);
+    });
+  }
+
+  const formatRecommendationNumber = reco => `R-${String(reco.number).padStart(3, '0')}`;
+
+  // What a recommendation can address: the causes, consequences and measures of its hazard
+  const RECOMMENDATION_LINK_TYPES = ['cause', 'consequence', 'measure'];
+
+  function getRecommendationTargets(hazard) {
+    const targets = [];
+    hazard.causes.forEach((cause, i) => {
+      targets.push({ type: 'cause', id: cause.id, label: 'Cause', text: cause.text || `Cause ${i + 1}` });
+    });
+    hazard.consequences.forEach((consequence, i) => {
+      targets.push({ type: 'consequence', id: consequence.id, label: 'Consequence', text: consequence.text || `Consequence ${i + 1}` });
+    });
+    hazard.causes.forEach(cause => (cause.preventionMeasures || []).forEach((measure) => {
+      targets.push({ type: 'measure', id: measure.id, label: 'Prevention', text: getMeasureText(measure) || 'Prevention measure' });
+    }));
+    hazard.consequences.forEach(consequence => (consequence.mitigationMeasures || []).forEach((measure) => {
+      targets.push({ type: 'measure', id: measure.id, label: 'Mitigation', text: getMeasureText(measure) || 'Mitigation measure' });
+    }));
+    return targets;
+  }
+
+  // Linked targets that still exist, in the order they were linked
+  function getLinkedTargets(hazard, reco) {
+    const targets = getRecommendationTargets(hazard);
+    return (reco.links || []).flatMap(link => targets.filter(t => t.type === link.type && t.id === link.id));
+  }
+
+  // Recommendations of the hazard linked to the given cause, consequence or measure
+  const getRecommendationsFor = (hazard, type, id) =>
+    hazard.recommendations.filter(reco => (reco.links || []).some(link => link.type === type && link.id === id));
+
+  const describeTarget = target => `${target.label}: ${target.text}`;
+
+  function todayISO() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  }
+
+  const isRecommendationOverdue = reco =>
+    !!reco.dueDate && reco.dueDate < todayISO() && (reco.status === 'open' || reco.status === 'in-progress');
+
+  // Every recommendation with its hazard and node, in table order
+  function listRecommendations() {
+    return state.hazards.flatMap(hazard => hazard.recommendations.map(reco => ({
+      reco,
+      hazard,
+      node: state.nodes.find(n => n.id === hazard.nodeId)
+    })));
+  }
+
+  const ACTION_COLUMNS = [
+    { key: 'number', label: 'No.', value: ({ reco }) => reco.number },
+    { key: 'node', label: 'Node', value: ({ node }) => (node ? node.name : '').toLowerCase() },
+    { key: 'hazard', label: 'Hazard', value: ({ hazard }) => (hazard.title || '').toLowerCase() },
+    { key: 'action', label: 'Action', value: ({ reco }) => reco.action.toLowerCase() },
+    { key: 'links', label: 'Addresses' },
+    { key: 'responsible', label: 'Responsible', value: ({ reco }) => reco.responsible.toLowerCase() },
+    { key: 'priority', label: 'Priority', value: ({ reco }) => RECOMMENDATION_PRIORITIES.indexOf(reco.priority) },
+    // Undated actions sort after dated ones
+    { key: 'dueDate', label: 'Due date', value: ({ reco }) => reco.dueDate || '9999-99-99' },
+    { key: 'status', label: 'Status', value: ({ reco }) => RECOMMENDATION_STATUSES.indexOf(reco.status) },
+    { key: 'closureComment', label: 'Closure comment' },
+    { key: 'closureEvidence', label: 'Closure evidence' }
+  ];
+
+  function matchesActionFilter({ reco, hazard, node }) {
+    const { status, priority, text } = state.actionFilter;
+    if (status === 'outstanding' && reco.status !== 'open' && reco.status !== 'in-progress') return false;
+    if (status === 'overdue' && !isRecommendationOverdue(reco)) return false;
+    if (RECOMMENDATION_STATUSES.includes(status) && reco.status !== status) return false;
+    if (priority && reco.priority !== priority) return false;
+    if (text) {
+      const haystack = [formatRecommendationNumber(reco), node ? node.name : '', hazard.title, reco.action, reco.responsible,
+        reco.closureComment, reco.closureEvidence].join('\n').toLowerCase();
+      if (!haystack.includes(text.toLowerCase())) return false;
+    }
+    return true;
+  }
+
+  function renderActionsPanel() {
+    const container = byId('actions-table');
+    if (!container) return;
+    container.innerHTML = '';
+    const all = listRecommendations();
+    const counts = {};
+    all.forEach(({ reco }) => { counts[reco.status] = (counts[reco.status] || 0) + 1; });
+    const overdue = all.filter(({ reco }) => isRecommendationOverdue(reco)).length;
+    byId('actions-summary').textContent = `${all.length} action(s) — ` +
+      RECOMMENDATION_STATUSES.map(st => `${RECOMMENDATION_STATUS_LABELS[st]}: ${counts[st] || 0}`).join(', ') +
+      `, overdue: ${overdue}`;
+
+    const { sortKey, sortDirection } = state.actionSort;
+    const column = ACTION_COLUMNS.find(c => c.key === sortKey) || ACTION_COLUMNS[0];
+    const rows = all.filter(matchesActionFilter).sort((a, b) => {
+      const av = column.value(a);
+      const bv = column.value(b);
+      if (av < bv) return -sortDirection;
+      if (av > bv) return sortDirection;
+      return a.reco.number - b.reco.number;
+    });
+
+    const table = createEl('table', { class: 'actions-table' });
+    const headerRow = createEl('tr');
+    ACTION_COLUMNS.forEach(({ key, label, value }) => {
+      if (!value) {
+        headerRow.append(createEl('th', { text: label }));
+        return;
+      }
+      const arrow = key === column.key ? (sortDirection > 0 ? ' ▲' : ' ▼') : '';
+      headerRow.append(createEl('th', {}, [createEl('button', {
+        class: 'sort-button',
+        text: label + arrow,
+        onclick: () => {
+          state.actionSort = { sortKey: key, sortDirection: key === column.key ? -sortDirection : 1 };
+          renderActionsPanel();
+        }
+      })]));
+    });
+    table.append(createEl('thead', {}, [headerRow]));
+
+    const tbody = createEl('tbody');
+    const textInput = (reco, key, placeholder) => createEl('input', {
+      type: 'text',
+      value: reco[key],
+      placeholder,
+      oninput: (e) => { recordEdit(`recommendation:${reco.id}:${key}`); reco[key] = e.target.value; scheduleSave(); },
+      onchange: () => scheduleSaveAndRerender()
+    });
+    const select = (reco, key, values, labels, undoLabel) => {
+      const el = createEl('select', {
+        onchange: (e) => {
+          mutate(undoLabel, () => { reco[key] = e.target.value; });
+          renderActionsPanel();
+        }
+      }, values.map(v => createEl('option', { value: v, text: labels[v] })));
+      el.value = reco[key];
+      return el;
+    };
+    rows.forEach(({ reco, hazard, node }) => {
+      const classes = [`action-${reco.status}`, `priority-${reco.priority}`];
+      if (isRecommendationOverdue(reco)) classes.push('action-overdue');
+      const dueDate = createEl('input', {
+        type: 'date',
+        value: reco.dueDate,
+        onchange: (e) => {
+          mutate('Change due date', () => { reco.dueDate = e.target.value; });
+          renderActionsPanel();
+        }
+      });
+      tbody.append(createEl('tr', { class: classes.join(' ') }, [
+        createEl('td', { class: 'action-number', text: formatRecommendationNumber(reco) }),
+        createEl('td', { text: node ? node.name || 'Untitled node' : '' }),
+        createEl('td', { text: hazard.title || 'Untitled Hazard' }),
+        createEl('td', {}, [textInput(reco, 'action', 'Action')]),
+        createEl('td', { class: 'action-links', text: getLinkedTargets(hazard, reco).map(describeTarget).join('\n') }),
+        createEl('td', {}, [textInput(reco, 'responsible', 'Responsible')]),
+        createEl('td', {}, [select(reco, 'priority', RECOMMENDATION_PRIORITIES, RECOMMENDATION_PRIORITY_LABELS, 'Change priority')]),
+        createEl('td', {}, [dueDate]),
+        createEl('td', {}, [select(reco, 'status', RECOMMENDATION_STATUSES, RECOMMENDATION_STATUS_LABELS, 'Change action status')]),
+        createEl('td', {}, [textInput(reco, 'closureComment', 'Closure comment')]),
+        createEl('td', {}, [textInput(reco, 'closureEvidence', 'Evidence (document, link)')])
+      ]));
+    });
+    if (rows.length === 0) {
+      tbody.append(createEl('tr', {}, [createEl('td', {
+        colspan: String(ACTION_COLUMNS.length),
+        class: 'actions-empty',
+        text: all.length === 0 ? 'No recommendations yet. Add them in the Hazards table.' : 'No actions match the filter.'
+      })]));
+    }
+    table.append(tbody);
+    container.append(table);
+  }
+
+  function wireActionTracker() {
+    const statusFilter = byId('action-status-filter');
+    statusFilter.append(
+      createEl('option', { value: '', text: 'All statuses' }),
+      createEl('option', { value: 'outstanding', text: 'Open and in progress' }),
+      createEl('option', { value: 'overdue', text: 'Overdue' }),
+      ...RECOMMENDATION_STATUSES.map(st => createEl('option', { value: st, text: RECOMMENDATION_STATUS_LABELS[st] }))
+    );
+    const priorityFilter = byId('action-priority-filter');
+    priorityFilter.append(
+      createEl('option', { value: '', text: 'All priorities' }),
+      ...RECOMMENDATION_PRIORITIES.map(p => createEl('option', { value: p, text: RECOMMENDATION_PRIORITY_LABELS[p] }))
+    );
+    statusFilter.addEventListener('change', (e) => { state.actionFilter.status = e.target.value; renderActionsPanel(); });
+    priorityFilter.addEventListener('change', (e) => { state.actionFilter.priority = e.target.value; renderActionsPanel(); });
+    byId('action-text-filter').addEventListener('input', (e) => { state.actionFilter.text = e.target.value.trim(); renderActionsPanel(); });
+    byId('tab-actions').addEventListener('click', () => {
+      renderActionsPanel();
+      switchTab('actions');
+    });
+  }
+
+  // Barrier register
+  // Measures reference study-level barriers, so a barrier such as "PSV-101" is
+  // worded once and renaming it updates every cause and consequence using it.
+  // Names are matched case-insensitively when a measure picks its barrier.
+  const getBarrier = id => state.barriers.find(b => b.id === id) || null;
+
+  const getMeasureText = measure => getBarrier(measure.barrierId)?.name || '';
+
+  const normalizeBarrierName = name => name.trim().toLowerCase();
+
+  const findBarrierByName = (name, barriers = state.barriers) =>
+    barriers.find(b => normalizeBarrierName(b.name) === normalizeBarrierName(name)) || null;
+
+  // Existing barrier with this name, or a new one added to the register
+  function barrierForName(name, barriers = state.barriers) {
+    let barrier = findBarrierByName(name, barriers);
+    if (!barrier) {
+      barrier = createBarrier(name.trim());
+      barriers.push(barrier);
+    }
+    return barrier;
+  }
+
+  const sortedBarriers = () => [...state.barriers].sort((a, b) => a.name.localeCompare(b.name));
+
+  // Barrier attributes; owner is the responsible discipline as free text.
+  // Colours are used when the bow-tie colours its measures by an attribute.
+  const BARRIER_ATTRIBUTES = [
+    {
+      key: 'type',
+      label: 'Type',
+      values: [
+        { id: 'hardware-active', label: 'Hardware – active', color: '#0984e3' },
+        { id: 'hardware-passive', label: 'Hardware – passive', color: '#6c5ce7' },
+        { id: 'human', label: 'Human', color: '#fdcb6e' },
+        { id: 'procedural', label: 'Procedural', color: '#00b894' }
+      ]
+    },
+    {
+      key: 'effectiveness',
+      label: 'Effectiveness',
+      values: [
+        { id: 'high', label: 'High', color: '#27ae60' },
+        { id: 'medium', label: 'Medium', color: '#f1c40f' },
+        { id: 'low', label: 'Low', color: '#e74c3c' }
+      ]
+    },
+    {
+      key: 'independence',
+      label: 'Independence',
+      values: [
+        { id: 'independent', label: 'Independent', color: '#27ae60' },
+        { id: 'dependent', label: 'Not independent', color: '#e67e22' }
+      ]
+    },
+    { key: 'owner', label: 'Owner' },
+    {
+      key: 'status',
+      label: 'Status',
+      values: [
+        { id: 'in-place', label: 'In place', color: '#27ae60' },
+        { id: 'planned', label: 'Planned', color: '#74b9ff' },
+        { id: 'impaired', label: 'Impaired', color: '#e74c3c' }
+      ]
+    }
+  ];
+  const BARRIER_NOT_SET_COLOR = '#b2bec3';
+
+  const formatBarrierAttribute = (barrier, { key, values }) =>
+    (values ? values.find(v => v.id === barrier[key])?.label || '' : barrier[key]);
+
+  // Attribute value from its id or label, as written in the Excel export; null when unknown
+  const parseBarrierAttribute = ({ values }, text) => {
+    if (!values) return text;
+    const value = values.find(v => v.id.toLowerCase() === text.toLowerCase() || v.label.toLowerCase() === text.toLowerCase());
+    return value ? value.id : null;
+  };
+
+  // Set attributes as "Hardware – active · High · In place"
+  const summarizeBarrier = barrier => BARRIER_ATTRIBUTES.map(attr => formatBarrierAttribute(barrier, attr)).filter(Boolean).join(' · ');
+
+  // Select (or text input for the owner) editing one attribute; attributes are shared
+  // by every use of the barrier, so edits re-render the Hazards table
+  function renderBarrierAttributeControl(barrier, attr, afterChange = () => {}) {
+    if (!attr.values) {
+      return createEl('input', {
+        type: 'text',
+        value: barrier[attr.key],
+        placeholder: attr.label,
+        title: attr.label,
+        oninput: (e) => { recordEdit(`barrier:${barrier.id}:${attr.key}`); barrier[attr.key] = e.target.value; scheduleSave(); },
+        onchange: () => { scheduleSaveAndRerender(); afterChange(); }
+      });
+    }
+    const select = createEl('select', {
+      title: attr.label,
+      onchange: (e) => {
+        mutate(`Change barrier ${attr.label.toLowerCase()}`, () => { barrier[attr.key] = e.target.value; });
+        afterChange();
+      }
+    }, [createEl('option', { value: '', text: 'Not set' }), ...attr.values.map(v => createEl('option', { value: v.id, text: v.label }))]);
+    select.value = barrier[attr.key];
+    return select;
+  }
+
+  // Attribute editor under a measure, collapsed to a one-line summary
+  function renderMeasureAttributes(barrier) {
+    const details = createEl('details', {
+      class: 'barrier-details',
+      ontoggle: (e) => {
+        if (e.target.open) openBarrierDetails.add(barrier.id);
+        else openBarrierDetails.delete(barrier.id);
+      }
+    }, [createEl('summary', { text: summarizeBarrier(barrier) || 'Attributes' })]);
+    if (openBarrierDetails.has(barrier.id)) details.open = true;
+    BARRIER_ATTRIBUTES.forEach((attr) => {
+      details.append(createEl('label', {}, [createEl('span', { text: attr.label }), renderBarrierAttributeControl(barrier, attr)]));
+    });
+    return details;
+  }
+
+  // Every measure with the hazard and the cause (threat) or consequence it sits under
+  function listMeasures() {
+    return state.hazards.flatMap(hazard => [
+      ...hazard.causes.flatMap(cause => cause.preventionMeasures.map(measure => ({ hazard, kind: 'threat', owner: cause, measure }))),
+      ...hazard.consequences.flatMap(consequence => consequence.mitigationMeasures.map(measure => ({ hazard, kind: 'consequence', owner: consequence, measure })))
+    ]);
+  }
+
+  const listBarrierUses = barrierId => listMeasures().filter(use => use.measure.barrierId === barrierId);
+
+  function countBarrierUses() {
+    const counts = new Map();
+    listMeasures().forEach(({ measure }) => counts.set(measure.barrierId, (counts.get(measure.barrierId) || 0) + 1));
+    return counts;
+  }
+
+  // Refreshed by renderTable for the shared-barrier hints on measures
+  let barrierUseCounts = new Map();
+  // Barriers whose attribute editor is expanded, kept open across re-renders
+  const openBarrierDetails = new Set();
+
+  // "Hazard: cause" lines for the threats and consequences a barrier protects against
+  function describeBarrierUses(barrierId) {
+    const lines = { threats: [], consequences: [] };
+    listBarrierUses(barrierId).forEach(({ hazard, kind, owner }) => {
+      const line = `${hazard.title || 'Untitled Hazard'}: ${owner.text || (kind === 'threat' ? 'Cause' : 'Consequence')}`;
+      const list = kind === 'threat' ? lines.threats : lines.consequences;
+      if (!list.includes(line)) list.push(line);
+    });
+    return lines;
+  }
+
+  // A measure input names its barrier: an existing name links the measure to that
+  // barrier, a new name renames a barrier used only here or else adds a barrier
+  function setMeasureBarrier(measure, name) {
+    const current = getBarrier(measure.barrierId);
+    const existing = findBarrierByName(name);
+    if (!name.trim()) mutate('Clear measure', () => { measure.barrierId = ''; });
+    else if (existing && existing !== current) mutate('Choose barrier', () => { measure.barrierId = existing.id; });
+    else if (current && listBarrierUses(current.id).length === 1) mutate('Rename barrier', () => { current.name = name.trim(); });
+    else if (existing) scheduleSaveAndRerender();
+    else mutate('Add barrier', () => { measure.barrierId = barrierForName(name).id; });
+  }
+
+  // Suggestions for the measure inputs
+  function renderBarrierOptions() {
+    const list = byId('barrier-names');
+    if (!list) return;
+    list.innerHTML = '';
+    sortedBarriers().forEach((barrier) => {
+      if (barrier.name) list.append(createEl('option', { value: barrier.name }));
+    });
+  }
+
+  // Renaming to the name of another barrier merges the two
+  function renameBarrier(barrier, name) {
+    const other = findBarrierByName(name);
+    if (!name.trim()) {
+      alert('A barrier needs a name.');
+    } else if (other && other !== barrier) {
+      if (confirm(`"${other.name}" is already in the register. Merge "${barrier.name}" into it?`)) {
+        mutate('Merge barriers', () => {
+          listBarrierUses(barrier.id).forEach(({ measure }) => { measure.barrierId = other.id; });
+          if (!other.description) other.description = barrier.description;
+          state.barriers = state.barriers.filter(b => b !== barrier);
+        });
+      }
+    } else {
+      mutate('Rename barrier', () => { barrier.name = name.trim(); });
+    }
+    renderBarrierPanel();
+  }
+
+  function removeBarrier(barrier) {
+    const uses = listBarrierUses(barrier.id);
+    if (uses.length > 0 && !confirm(`Remove "${barrier.name}" from the register? Its ${uses.length} measure(s) will be removed too.`)) return;
+    mutate('Remove barrier', () => {
+      uses.forEach(({ kind, owner }) => {
+        const key = kind === 'threat' ? 'preventionMeasures' : 'mitigationMeasures';
+        owner[key] = owner[key].filter(m => m.barrierId !== barrier.id);
+      });
+      state.barriers = state.barriers.filter(b => b !== barrier);
+    });
+    renderBarrierPanel();
+  }
+
+  function addBarrier() {
+    const name = prompt('Name of the new barrier:');
+    if (name === null || !name.trim()) return;
+    const existing = findBarrierByName(name);
+    if (existing) {
+      alert(`"${existing.name}" is already in the register.`);
+      return;
+    }
+    mutate('Add barrier', () => { state.barriers.push(createBarrier(name.trim())); });
+    renderBarrierPanel();
+  }
+
+  function renderBarrierPanel() {
+    const container = byId('barrier-register');
+    if (!container) return;
+    container.innerHTML = '';
+    const counts = countBarrierUses();
+    const unused = state.barriers.filter(b => !counts.get(b.id)).length;
+    byId('barriers-summary').textContent = `${state.barriers.length} barrier(s), ${unused} unused`;
+
+    const filter = state.barrierFilter;
+    const filterText = filter.text.toLowerCase();
+    const rows = sortedBarriers().map(barrier => ({ barrier, ...describeBarrierUses(barrier.id) })).filter(({ barrier, threats, consequences }) => {
+      if (BARRIER_ATTRIBUTES.some(({ key, values }) => values && filter[key] && barrier[key] !== filter[key])) return false;
+      return !filterText || [barrier.name, barrier.description, barrier.owner, ...threats, ...consequences].join('\n').toLowerCase().includes(filterText);
+    });
+
+    const headers = ['Barrier', 'Description', ...BARRIER_ATTRIBUTES.map(a => a.label), 'Threats', 'Consequences', ''];
+    const table = createEl('table', { class: 'barrier-table' });
+    table.append(createEl('thead', {}, [createEl('tr', {}, headers.map(label => createEl('th', { text: label })))]));
+    const tbody = createEl('tbody');
+    const useList = lines => (lines.length > 0
+      ? createEl('ul', { class: 'barrier-use-list' }, lines.map(line => createEl('li', { text: line })))
+      : createEl('span', { class: 'barrier-unused', text: '—' }));
+    rows.forEach(({ barrier, threats, consequences }) => {
+      tbody.append(createEl('tr', { class: barrier.status ? `barrier-status-${barrier.status}` : '' }, [
+        createEl('td', {}, [createEl('input', { type: 'text', value: barrier.name, placeholder: 'Barrier', onchange: (e) => renameBarrier(barrier, e.target.value) })]),
+        createEl('td', {}, [createEl('input', {
+          type: 'text',
+          value: barrier.description,
+          placeholder: 'Description',
+          oninput: (e) => { recordEdit(`barrier:${barrier.id}:description`); barrier.description = e.target.value; scheduleSave(); }
+        })]),
+        ...BARRIER_ATTRIBUTES.map(attr => createEl('td', {}, [renderBarrierAttributeControl(barrier, attr, renderBarrierPanel)])),
+        createEl('td', {}, [useList(threats)]),
+        createEl('td', {}, [useList(consequences)]),
+        createEl('td', {}, [createEl('button', { class: 'icon danger', text: 'Remove', onclick: () => removeBarrier(barrier) })])
+      ]));
+    });
+    if (rows.length === 0) {
+      tbody.append(createEl('tr', {}, [createEl('td', {
+        colspan: String(headers.length),
+        class: 'actions-empty',
+        text: state.barriers.length === 0 ? 'No barriers yet. Add one here or type a measure in the Hazards table.' : 'No barriers match the filter.'
+      })]));
+    }
+    table.append(tbody);
+    container.append(table);
+  }
+
+  function wireBarrierRegister() {
+    byId('add-barrier').addEventListener('click', addBarrier);
+    byId('barrier-text-filter').addEventListener('input', (e) => { state.barrierFilter.text = e.target.value.trim(); renderBarrierPanel(); });
+    const filters = byId('barrier-attribute-filters');
+    BARRIER_ATTRIBUTES.forEach(({ key, label, values }) => {
+      if (!values) return;
+      filters.append(createEl('select', {
+        title: label,
+        onchange: (e) => { state.barrierFilter[key] = e.target.value; renderBarrierPanel(); }
+      }, [createEl('option', { value: '', text: `Any ${label.toLowerCase()}` }), ...values.map(v => createEl('option', { value: v.id, text: v.label }))]));
+    });
+    byId('tab-barriers').addEventListener('click', () => {
+      renderBarrierPanel();
+      switchTab('barriers');
+    });
+  }
+
+  // Guideword checklist
+  // The library lists guidewords by category, each with typical causes and
+  // consequences. For every node the facilitator marks each guideword as
+  // considered or not applicable, or spawns a hazard from it; hazards keep
+  // the guidewordId they were created from.
+  const GUIDEWORD_REVIEW_STATUSES = ['pending', 'considered', 'not-applicable'];
+  const GUIDEWORD_STATUS_LABELS = { pending: 'Not reviewed', considered: 'Considered', 'not-applicable': 'Not applicable', hazard: 'Hazard identified' };
+
+  function createDefaultGuidewordLibrary() {
+    const gw = (id, category, name, description, causes, consequences) => ({ id, category, name, description, causes, consequences });
+    return {
+      name: 'Built-in HAZID checklist',
+      guidewords: [
+        gw('ext-weather', 'External & environmental', 'Extreme weather', 'Wind, waves, lightning, temperature extremes, snow and ice', ['Storm exceeding design conditions', 'Lightning strike', 'Icing of equipment and walkways'], ['Structural damage', 'Loss of power', 'Personnel exposure to cold or heat']),
+        gw('ext-seismic', 'External & environmental', 'Seismic activity', 'Earthquake, subsidence, ground movement', ['Earthquake', 'Soil liquefaction or subsidence'], ['Structural collapse', 'Loss of containment']),
+        gw('ext-flooding', 'External & environmental', 'Flooding', 'Tidal surge, heavy rainfall, drainage failure', ['Heavy rainfall', 'Blocked drainage'], ['Water ingress to equipment rooms', 'Loss of access']),
+        gw('hc-fire', 'Fire & explosion', 'Hydrocarbon release', 'Loss of containment of gas or liquid hydrocarbons', ['Corrosion or erosion', 'Flange or seal leak', 'Overpressure', 'Maintenance error'], ['Jet or pool fire', 'Gas cloud explosion', 'Fatality or injury']),
+        gw('hc-ignition', 'Fire & explosion', 'Ignition sources', 'Hot work, hot surfaces, electrical equipment, static', ['Unclassified equipment in hazardous area', 'Hot work without gas testing', 'Static discharge'], ['Fire', 'Explosion']),
+        gw('hc-nonhc-fire', 'Fire & explosion', 'Non-hydrocarbon fire', 'Electrical, accommodation or chemical fires', ['Electrical fault', 'Smoking or cooking', 'Combustible storage'], ['Smoke exposure', 'Damage to escape routes']),
+        gw('tox-h2s', 'Toxic & hazardous substances', 'Toxic gas', 'H2S, CO2, nitrogen or other toxic/asphyxiant gas', ['Sour production release', 'Inert gas purging', 'Confined space entry'], ['Toxic exposure', 'Asphyxiation']),
+        gw('tox-chemicals', 'Toxic & hazardous substances', 'Chemicals', 'Process chemicals, corrosives, methanol', ['Chemical handling error', 'Storage tank leak'], ['Chemical burns', 'Environmental spill']),
+        gw('mech-dropped', 'Mechanical & structural', 'Dropped objects', 'Lifting operations and objects falling from height', ['Crane failure', 'Rigging failure', 'Unsecured items at height'], ['Personnel injury', 'Damage to process equipment', 'Loss of containment']),
+        gw('mech-collision', 'Mechanical & structural', 'Collision', 'Vessel, vehicle or helicopter impact', ['Navigation error', 'Loss of propulsion', 'Vehicle movement in process area'], ['Structural damage', 'Riser damage', 'Fatality or injury']),
+        gw('mech-structural', 'Mechanical & structural', 'Structural failure', 'Fatigue, overload, foundation failure', ['Fatigue cracking', 'Overloading', 'Corrosion'], ['Collapse', 'Loss of support to equipment']),
+        gw('mech-pressure', 'Mechanical & structural', 'Stored energy', 'Pressure, rotating equipment, springs', ['Overpressure', 'Rotating equipment failure', 'Uncontrolled pressure release'], ['Projectiles', 'Personnel injury']),
+        gw('elec-shock', 'Electrical', 'Electrical shock', 'Contact with live conductors', ['Inadequate isolation', 'Damaged cables'], ['Electrocution', 'Burns']),
+        gw('elec-power', 'Electrical', 'Loss of power', 'Main and emergency power failure', ['Generator trip', 'Switchboard fault'], ['Loss of safety systems', 'Process upset']),
+        gw('occ-height', 'Occupational', 'Work at height', 'Falls from height or into openings', ['Missing guard rails', 'Scaffolding failure'], ['Fatality or serious injury']),
+        gw('occ-slips', 'Occupational', 'Slips, trips and falls', 'Walkways, stairs and housekeeping', ['Poor housekeeping', 'Wet or icy surfaces'], ['Personnel injury']),
+        gw('occ-noise', 'Occupational', 'Noise and vibration', 'Exposure to high noise or vibration levels', ['Unsilenced equipment', 'Long exposure time'], ['Hearing damage', 'Communication failure']),
+        gw('occ-manual', 'Occupational', 'Manual handling', 'Lifting and carrying loads by hand', ['Heavy or awkward loads', 'Poor access'], ['Musculoskeletal injury']),
+        gw('ops-simops', 'Operational', 'Simultaneous operations', 'Drilling, production, construction or maintenance at the same time', ['Conflicting permits', 'Poor communication between teams'], ['Escalation of incidents', 'Injury to personnel']),
+        gw('ops-maintenance', 'Operational', 'Maintenance and isolation', 'Breaking containment and isolating equipment', ['Incorrect isolation', 'Inadequate procedures'], ['Loss of containment', 'Personnel injury']),
+        gw('ops-evacuation', 'Operational', 'Escape and evacuation', 'Escape routes, muster, lifeboats and rescue', ['Blocked escape routes', 'Impaired lifeboats'], ['Inability to evacuate', 'Multiple fatalities']),
+        gw('env-discharge', 'Environmental', 'Discharges to sea or ground', 'Oil spills, produced water, drains', ['Overflow of drains', 'Pipeline leak'], ['Pollution', 'Regulatory breach']),
+        gw('env-emissions', 'Environmental', 'Emissions to air', 'Flaring, venting, fugitive emissions', ['Extended flaring', 'Cold venting'], ['Air pollution', 'Regulatory breach']),
+        gw('sec-intrusion', 'Security', 'Unauthorised access', 'Intrusion, sabotage, cyber attack', ['Inadequate fencing', 'Compromised control system'], ['Sabotage', 'Loss of control'])
+      ]
+    };
+  }
+
+  function validateGuidewordLibrary(library, path, { fail, checkString, checkList, checkStringList }) {
+    checkString(library, 'name', path);
+    const seen = new Set();
+    checkList(library, 'guidewords', path, (guideword, guidewordPath) => {
+      ['id', 'category', 'name', 'description'].forEach(key => checkString(guideword, key, guidewordPath));
+      if (typeof guideword.id === 'string') {
+        if (seen.has(guideword.id)) fail(`${guidewordPath}.id`, `duplicate guideword id "${guideword.id}"`);
+        seen.add(guideword.id);
+      }
+      checkStringList(guideword, 'causes', guidewordPath);
+      checkStringList(guideword, 'consequences', guidewordPath);
+    });
+  }
+
+  // Library files are { guidewordLibrary } or a bare library object
+  function parseGuidewordLibrary(data) {
+    const library = isPlainObject(data) && isPlainObject(data.guidewordLibrary) ? data.guidewordLibrary : data;
+    if (!isPlainObject(library)) throw new Error('Expected a guideword library object');
+    const validator = createValidator();
+    validateGuidewordLibrary(library, '', validator);
+    if (validator.errors.length > 0) {
+      const err = new Error(`Invalid guideword library:\n${formatIssueList(validator.errors)}`);
+      err.errors = validator.errors;
+      throw err;
+    }
+    return library;
+  }
+
+  function getGuidewordReview(nodeId, guidewordId) {
+    return state.guidewordReviews.find(r => r.nodeId === nodeId && r.guidewordId === guidewordId);
+  }
+
+  // 'hazard' when the guideword produced a hazard in the node, otherwise the recorded review status
+  function getGuidewordStatus(nodeId, guidewordId) {
+    if (state.hazards.some(h => h.nodeId === nodeId && h.guidewordId === guidewordId)) return 'hazard';
+    const review = getGuidewordReview(nodeId, guidewordId);
+    return review ? review.status : 'pending';
+  }
+
+  function setGuidewordReview(nodeId, guidewordId, changes) {
+    let review = getGuidewordReview(nodeId, guidewordId);
+    if (!review) {
+      review = { nodeId, guidewordId, status: 'pending', comment: '' };
+      state.guidewordReviews.push(review);
+    }
+    Object.assign(review, changes);
+  }
+
+  function createHazardFromGuideword(nodeId, guideword) {
+    mutate('Create hazard from guideword', () => {
+      const hz = createHazard(nodeId);
+      hz.guidewordId = guideword.id;
+      hz.title = guideword.name;
+      hz.description = guideword.description;
+      guideword.causes.forEach(text => hz.causes.push({ ...createCause(), text }));
+      guideword.consequences.forEach(text => hz.consequences.push({ ...createConsequence(), text }));
+      if (hz.causes.length === 0) hz.causes.push(createCause());
+      if (hz.consequences.length === 0) hz.consequences.push(createConsequence());
+      hz.recommendations.push(createRecommendation());
+      // Insert after the node's last hazard so it shows up inside the node group
+      let insertAt = state.hazards.length;
+      for (let i = state.hazards.length - 1; i >= 0; i--) {
+        if (state.hazards[i].nodeId === nodeId) { insertAt = i + 1; break; }
+      }
+      state.hazards.splice(insertAt, 0, hz);
+    });
+    renderGuidewordPanel();
+  }
+
+  // Coverage per node: one entry per guideword with its status, hazard titles and comment
+  function getGuidewordCoverage(node) {
+    return state.guidewordLibrary.guidewords.map((guideword) => {
+      const review = getGuidewordReview(node.id, guideword.id);
+      return {
+        guideword,
+        status: getGuidewordStatus(node.id, guideword.id),
+        hazards: state.hazards.filter(h => h.nodeId === node.id && h.guidewordId === guideword.id),
+        comment: review ? review.comment : ''
+      };
+    });
+  }
+
+  function renderGuidewordPanel() {
+    const container = byId('guideword-checklist');
+    if (!container) return;
+    container.innerHTML = '';
+    if (!state.nodes.some(n => n.id === state.guidewordNodeId)) state.guidewordNodeId = state.nodes[0] ? state.nodes[0].id : null;
+    byId('guideword-library-name').textContent = `${state.guidewordLibrary.name} (${state.guidewordLibrary.guidewords.length} guidewords)`;
+
+    const nodeSelect = byId('guideword-node');
+    nodeSelect.innerHTML = '';
+    state.nodes.forEach((node) => {
+      const option = createEl('option', { value: node.id, text: node.name || 'Untitled node' });
+      if (node.id === state.guidewordNodeId) option.selected = true;
+      nodeSelect.append(option);
+    });
+    const node = state.nodes.find(n => n.id === state.guidewordNodeId);
+    if (!node) return;
+
+    const coverage = getGuidewordCoverage(node);
+    const counts = {};
+    coverage.forEach(({ status }) => { counts[status] = (counts[status] || 0) + 1; });
+    const reviewed = coverage.length - (counts.pending || 0);
+    byId('guideword-summary').textContent = `${reviewed} of ${coverage.length} reviewed — ` +
+      ['hazard', 'considered', 'not-applicable', 'pending'].map(s => `${GUIDEWORD_STATUS_LABELS[s]}: ${counts[s] || 0}`).join(', ');
+
+    const table = createEl('table', { class: 'guideword-table' });
+    const headerRow = createEl('tr');
+    ['Guideword', 'Status', 'Comment', ''].forEach(text => headerRow.append(createEl('th', { text })));
+    table.append(createEl('thead', {}, [headerRow]));
+    const tbody = createEl('tbody');
+    let category = null;
+    coverage.forEach(({ guideword, status, hazards, comment }) => {
+      if (guideword.category !== category) {
+        category = guideword.category;
+        tbody.append(createEl('tr', { class: 'guideword-category' }, [createEl('td', { colspan: '4', text: category })]));
+      }
+      const row = createEl('tr', { class: `guideword-${status}` });
+      row.append(createEl('td', {}, [
+        createEl('div', { class: 'guideword-name', text: guideword.name }),
+        createEl('div', { class: 'guideword-description', text: guideword.description })
+      ]));
+      const statusText = status === 'hazard' ? `${GUIDEWORD_STATUS_LABELS.hazard}: ${hazards.map(h => h.title || 'Untitled hazard').join(', ')}` : GUIDEWORD_STATUS_LABELS[status];
+      row.append(createEl('td', { class: 'guideword-status', text: statusText }));
+      row.append(createEl('td', {}, [createEl('input', {
+        type: 'text',
+        value: comment,
+        placeholder: 'Comment',
+        oninput: (e) => {
+          recordEdit(`guideword:${node.id}:${guideword.id}:comment`);
+          setGuidewordReview(node.id, guideword.id, { comment: e.target.value });
+          scheduleSave();
+        }
+      })]));
+      const setStatus = (newStatus, label) => createEl('button', {
+        class: 'icon',
+        text: label,
+        onclick: () => {
+          mutate('Review guideword', () => setGuidewordReview(node.id, guideword.id, { status: newStatus }));
+          renderGuidewordPanel();
+        }
+      });
+      row.append(createEl('td', {}, [createEl('div', { class: 'inline-controls' }, [
+        createEl('button', { class: 'icon primary', text: 'Create hazard', onclick: () => createHazardFromGuideword(node.id, guideword) }),
+        setStatus('considered', 'Considered'),
+        setStatus('not-applicable', 'N/A'),
+        setStatus('pending', 'Clear')
+      ])]));
+      tbody.append(row);
+    });
+    table.append(tbody);
+    container.append(table);
+  }
+
+  function wireGuidewordActions() {
+    byId('guideword-node').addEventListener('change', (e) => {
+      state.guidewordNodeId = e.target.value;
+      renderGuidewordPanel();
+    });
+    byId('export-guidewords').addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify({ guidewordLibrary: state.guidewordLibrary }, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url; a.download = 'guideword_library.json'; a.click();
+      URL.revokeObjectURL(url);
+    });
+    byId('import-guidewords').addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'file'; input.accept = 'application/json';
+      input.onchange = () => {
+        const file = input.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+          try {
+            const library = parseGuidewordLibrary(JSON.parse(String(reader.result || '{}')));
+            replaceGuidewordLibrary('Import guideword library', library);
+          } catch (e) {
+            alert('Failed to import guideword library: ' + e.message);
+          }
+        };
+        reader.readAsText(file);
+      };
+      input.click();
+    });
+    byId('reset-guidewords').addEventListener('click', () => {
+      if (!confirm('Replace the guideword library with the built-in checklist?')) return;
+      replaceGuidewordLibrary('Reset guideword library', createDefaultGuidewordLibrary());
+    });
+  }
+
+  // Reviews of guidewords missing from the new library are dropped; hazards keep their guidewordId
+  function replaceGuidewordLibrary(label, library) {
+    mutate(label, () => {
+      state.guidewordLibrary = library;
+      const ids = new Set(library.guidewords.map(g => g.id));
+      state.guidewordReviews = state.guidewordReviews.filter(r => ids.has(r.guidewordId));
+    });
+    renderGuidewordPanel();
+  }
+
+  // Global UI actions
+  function wireGlobalActions() {
+    // Tab switching
+    byId('tab-hazards').addEventListener('click', () => switchTab('hazards'));
+    byId('tab-risk-matrix').addEventListener('click', () => {
+      renderRiskHeatMap();
+      switchTab('risk-matrix');
+    });
+    byId('heat-map-category').addEventListener('change', (e) => {
+      state.heatMapCategory = e.target.value;
+      renderRiskHeatMap();
+    });
+    byId('export-heat-map-svg').addEventListener('click', () => exportSvgToSVG(byId('risk-heat-map-svg'), 'risk-heat-map', 'risk heat map'));
+    byId('export-heat-map-png').addEventListener('click', () => exportSvgToPNG(byId('risk-heat-map-svg'), 'risk-heat-map', 'risk heat map'));
+    byId('tab-study').addEventListener('click', () => switchTab('study'));
+    byId('risk-matrix-paint').addEventListener('change', (e) => { state.riskMatrixPaint = e.target.value; });
+    byId('generate-risk-matrix').addEventListener('click', () => {
+      if (!hasRiskBands(state.riskMatrix)) {
+        alert('Give every likelihood and severity level a numeric value and at least one risk level a minimum risk index first.');
+        return;
+      }
+      if (!confirm('Regenerate every matrix cell from the risk index bands? Cells edited by hand are overwritten.')) return;
+      editRiskMatrix('Generate matrix from bands', matrix => updateRiskMatrix(matrix));
+    });
+    byId('tab-guidewords').addEventListener('click', () => {
+      renderGuidewordPanel();
+      switchTab('guidewords');
+    });
+
+    // Studies
+    byId('study-select').addEventListener('change', (e) => openStudy(e.target.value));
+    byId('new-study').addEventListener('click', createStudy);
+    byId('import-study').addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'file'; input.accept = 'application/json';
+      input.onchange = () => {
+        const file = input.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+          try {
+            importStudyFromJSON(JSON.parse(String(reader.result || '{}')), file.name);
+          } catch (e) {
+            alert('Failed to import study: ' + e.message);
+          }
+        };
+        reader.readAsText(file);
+      };
+      input.click();
+    });
+
+    byId('add-hazard').addEventListener('click', () => {
+      mutate('Add hazard', () => {
+        if (state.nodes.length === 0) state.nodes.push(createNode('General'));
+        state.hazards.push(createHazard(state.nodes[state.nodes.length - 1].id));
+      });
+    });
+
+    byId('add-node').addEventListener('click', () => {
+      mutate('Add node', () => { state.nodes.push(createNode()); });
+    });
+
+    // Undo/redo
+    byId('undo').addEventListener('click', () => editHistory.undo());
+    byId('redo').addEventListener('click', () => editHistory.redo());
+    updateHistoryButtons();
+
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        editHistory.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        editHistory.redo();
+      }
+    });
+
+    // Leaving a field ends its run of coalesced text edits
+    document.addEventListener('focusout', () => editHistory.breakCoalescing());
+
+    byId('clear-all').addEventListener('click', () => {
+      if (!confirm('Clear all data?')) return;
+      editHistory.record('Clear all');
+      state.nodes = [createNode('General')];
+      state.hazards = [];
+      state.barriers = [];
+      state.guidewordReviews = [];
+      scheduleSaveAndRerender();
+    });
+
+    byId('autosave-toggle').addEventListener('change', (e) => {
+      state.autosave = !!e.target.checked;
+      scheduleSave();
+    });
+
+    byId('compact-mode').addEventListener('change', (e) => {
+      state.compactMode = !!e.target.checked;
+      document.body.classList.toggle('compact-mode', state.compactMode);
+      saveStudyIndex();
+      scheduleSaveAndRerender(); // Re-render to update button styles
+    });
 
     byId('export-json').addEventListener('click', () => {
-      const blob = new Blob([JSON.stringify({ hazards: state.hazards, riskMatrix: state.riskMatrix }, null, 2)], { type: 'application/json' });
+      const doc = serializeDocument();
+      if (isExportFiltered()) doc.hazards = state.hazards.filter(matchesTableFilters);
+      const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
-      a.href = url; a.download = 'hazid.json'; a.click();
+      a.href = url; a.download = `${exportFileName()}.json`; a.click();
       URL.revokeObjectURL(url);
     });
 
     byId('export-excel').addEventListener('click', exportToExcel);
 
+    byId('import-excel').addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+      input.onchange = () => {
+        const file = input.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => importFromExcel(reader.result);
+        reader.readAsArrayBuffer(file);
+      };
+      input.click();
+    });
+
     // Bow-tie colors management
     byId('import-bowtie-colors').addEventListener('click', () => {
       const input = document.createElement('input');
@@ -797,23 +3914,12 @@
         const reader = new FileReader();
         reader.onload = () => {
           try {
-            const data = JSON.parse(String(reader.result || '[]'));
-            if (Array.isArray(data)) {
-              // Legacy format
-              state.hazards = data;
-            } else if (data.hazards) {
-              // New format
-              state.hazards = data.hazards;
-              if (data.riskMatrix) {
-                state.riskMatrix = { ...state.riskMatrix, ...data.riskMatrix };
-                updateRiskMatrix();
-              }
-            } else {
-              throw new Error('Invalid file format');
-            }
-            persist.save({ hazards: state.hazards, riskMatrix: state.riskMatrix });
+            const doc = parseDocument(JSON.parse(String(reader.result || '[]')));
+            editHistory.record('Import JSON');
+            applyDocument({ nodes: doc.nodes, hazards: doc.hazards, barriers: doc.barriers, riskMatrix: doc.riskMatrix, guidewordLibrary: doc.guidewordLibrary, guidewordReviews: doc.guidewordReviews });
             scheduleSaveAndRerender();
             renderRiskMatrixConfig();
+            renderGuidewordPanel();
           } catch (e) {
             alert('Failed to import JSON: ' + e.message);
           }
@@ -834,10 +3940,7 @@
         reader.onload = () => {
           try {
             const data = JSON.parse(String(reader.result || '{}'));
-            loadRiskMatrixFromJSON(data);
-            scheduleSaveAndRerender();
-            renderRiskMatrixConfig();
-            alert('Risk matrix imported successfully!');
+            applyRiskMatrix(riskMatrixFromJSON(data), 'Import risk matrix', 'Risk matrix imported successfully!');
           } catch (e) {
             alert('Failed to import risk matrix JSON: ' + e.message);
           }
@@ -848,17 +3951,7 @@
     });
 
     byId('export-risk-matrix').addEventListener('click', () => {
-      const config = {
-        likelihoodLevels: state.riskMatrix.likelihood.length,
-        likelihoodDescriptions: state.riskMatrix.likelihood.map(l => ({ id: l.id, label: l.label, description: l.description })),
-        severityCategories: ['personnel', 'asset', 'environmental', 'reputation', 'operation'],
-        severityDescriptions: state.riskMatrix.severityDescriptions,
-        riskLevels: state.riskMatrix.riskLevels.length,
-        riskLevelDescriptions: state.riskMatrix.riskLevels.map(r => ({ id: r.id, label: r.label, color: r.color })),
-        matrix: Object.fromEntries(
-          Object.entries(state.riskMatrix.matrix).map(([key, riskLevel]) => [key, riskLevel.id])
-        )
-      };
+      const config = riskMatrixToJSON(state.riskMatrix);
       
       const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
@@ -867,26 +3960,73 @@
       URL.revokeObjectURL(url);
     });
 
+    byId('risk-matrix-preset').addEventListener('change', (e) => {
+      byId('delete-matrix-preset').disabled = !e.target.value.startsWith('company:');
+    });
+    byId('apply-matrix-preset').addEventListener('click', () => {
+      if (confirm('Apply this risk matrix preset? It replaces your current configuration.')) applyMatrixPreset();
+    });
+    byId('save-matrix-preset').addEventListener('click', saveCompanyPreset);
+    byId('delete-matrix-preset').addEventListener('click', deleteCompanyPreset);
+
     byId('load-default-matrix').addEventListener('click', () => {
       if (confirm('Load default risk matrix? This will replace your current configuration.')) {
-        loadDefaultRiskMatrix();
-        scheduleSaveAndRerender();
-        renderRiskMatrixConfig();
-        alert('Default risk matrix loaded!');
+        applyRiskMatrix(createPresetMatrix('5x5'), 'Load default risk matrix', 'Default risk matrix loaded!');
       }
     });
   }
 
   // Excel export using ExcelJS - rewritten from scratch
+  // Escalation factors in one cell: each factor on a line, followed by its controls as "- control" lines.
+  // Blank factors without controls are left out.
+  const formatEscalationFactors = measure => measure.escalationFactors
+    .filter(factor => factor.text || factor.controls.length > 0)
+    .flatMap(factor => [factor.text || 'Escalation factor', ...factor.controls.map(control => `- ${control.text}`)])
+    .join('\n');
+
+  function parseEscalationFactors(text = '') {
+    const factors = [];
+    text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach((line) => {
+      const control = line.match(/^[-•]\s*(.*)$/);
+      if (!control) factors.push(createEscalationFactor(line));
+      else if (factors.length > 0) factors[factors.length - 1].controls.push(createEscalationControl(control[1]));
+      else factors.push({ ...createEscalationFactor(), controls: [createEscalationControl(control[1])] });
+    });
+    return factors;
+  }
+
+  // "Prevention type", "Prevention effectiveness", ... columns of the HAZID sheet
+  const barrierAttributeHeaders = side => BARRIER_ATTRIBUTES.map(({ label }) => `${side} ${label.toLowerCase()}`);
+
   async function exportToExcel() {
     try {
       if (!window.ExcelJS) { alert('Excel export library not loaded'); return; }
       const workbook = new ExcelJS.Workbook();
+      workbook.title = state.study.name;
+      addStudySheet(workbook);
       const sheet = workbook.addWorksheet('HAZID');
-      const hazards = state.hazards;
-
-      // Header row
-      const headers = ['Hazard','Causes','Prevention measures','Consequences','Mitigation measures','Severity category','Severity level','Likelihood level','Risk','Recommendations'];
+      const groups = exportedGroups();
+      const hazards = groups.flatMap(g => g.entries.map(e => e.hazard));
+      // A node header row precedes each node's hazards
+      const exportRows = groups.flatMap(({ node, entries }) => [{ node }, ...entries.map(({ hazard }) => ({ hazard }))]);
+
+      // Header row; each measure column is followed by its barrier's attributes and escalation factors
+      const headers = ['Hazard','Top event','Causes','Prevention measures',...barrierAttributeHeaders('Prevention'),'Prevention escalation factors',
+        'Consequences','Mitigation measures',...barrierAttributeHeaders('Mitigation'),'Mitigation escalation factors','Severity category',
+        'Initial severity','Initial likelihood','Initial risk','Severity level','Likelihood level','Risk',
+        'Residual severity','Residual likelihood','Residual risk','Recommendations'];
+      const column = header => headers.indexOf(header) + 1;
+      // Severity, likelihood and risk columns of each ranking
+      const stageColumns = { initialRisk: column('Initial severity'), risk: column('Severity level'), residualRisk: column('Residual severity') };
+      const recommendationsColumn = column('Recommendations');
+      const writeMeasure = (row, rows, measureColumn, measure) => {
+        const barrier = getBarrier(measure.barrierId);
+        mergeAndSet(sheet, row, measureColumn, rows, getMeasureText(measure));
+        BARRIER_ATTRIBUTES.forEach((attr, i) => {
+          mergeAndSet(sheet, row, measureColumn + 1 + i, rows, barrier ? formatBarrierAttribute(barrier, attr) : '');
+        });
+        mergeAndSet(sheet, row, measureColumn + 1 + BARRIER_ATTRIBUTES.length, rows, formatEscalationFactors(measure));
+      };
       sheet.addRow(headers);
       
       // Style header
@@ -901,157 +4041,318 @@
       let currentRow = 2;
       const borderColor = '#024F75';
 
-      state.hazards.forEach((hazard) => {
-        const causeCount = Math.max(hazard.causes.length, 1);
-        const consCount = Math.max(hazard.consequences.length, 1);
+      exportRows.forEach(({ node, hazard }) => {
+        if (node) {
+          sheet.addRow(['']);
+          writeNodeHeaderRow(sheet, currentRow, headers.length, node);
+          currentRow += 1;
+          return;
+        }
+
+        // Each top event is a block of rows with its own causes and consequences
+        const hazardStartRow = currentRow;
+        hazard.topEvents.forEach((topEvent, ti) => {
+          const part = {
+            causes: itemsOfTopEvent(hazard, topEvent, 'causes'),
+            consequences: itemsOfTopEvent(hazard, topEvent, 'consequences')
+          };
+          const causeCount = Math.max(part.causes.length, 1);
+          const consCount = Math.max(part.consequences.length, 1);
         
-        // Calculate total prevention measures (causes with no measures count as 1)
-        const totalPreventionMeasures = hazard.causes.reduce((sum, cause) => {
-          const measures = cause ? (cause.preventionMeasures || []).length : 0;
-          return sum + Math.max(measures, 1);
-        }, 0);
+          // Calculate total prevention measures (causes with no measures count as 1)
+          const totalPreventionMeasures = part.causes.reduce((sum, cause) => {
+            const measures = cause ? (cause.preventionMeasures || []).length : 0;
+            return sum + Math.max(measures, 1);
+          }, 0);
         
-        // Calculate total mitigation measures (consequences with no measures count as 1)
-        const totalMitigationMeasures = hazard.consequences.reduce((sum, cons) => {
-          const measures = cons ? (cons.mitigationMeasures || []).length : 0;
-          return sum + Math.max(measures, 1);
-        }, 0);
+          // Calculate total mitigation measures (consequences with no measures count as 1)
+          const totalMitigationMeasures = part.consequences.reduce((sum, cons) => {
+            const measures = cons ? (cons.mitigationMeasures || []).length : 0;
+            return sum + Math.max(measures, 1);
+          }, 0);
         
-        // Total rows needed = max of prevention vs mitigation measures
-        const blockRows = Math.max(totalPreventionMeasures, totalMitigationMeasures, 1);
-        const startRow = currentRow;
+          // Total rows needed = max of prevention vs mitigation measures
+          const blockRows = Math.max(totalPreventionMeasures, totalMitigationMeasures, 1);
+          const startRow = currentRow;
 
-        // Pre-create all rows for this hazard
-        for (let i = 0; i < blockRows; i += 1) {
-          sheet.addRow(['','','','','','','','','','']);
-        }
+          // Pre-create all rows for this top event
+          for (let i = 0; i < blockRows; i += 1) {
+            sheet.addRow(headers.map(() => ''));
+          }
 
-        // Merge Hazard column across all rows
-        mergeAndSet(sheet, startRow, 1, blockRows, hazard.title + (hazard.description ? `\n${hazard.description}` : ''));
+          // The import starts a new top event at each non-blank cell, so untitled ones need a label
+          const topEventText = topEvent.text || (hazard.topEvents.length > 1 ? `Top event ${ti + 1}` : '');
+          mergeAndSet(sheet, startRow, column('Top event'), blockRows, topEventText);
 
-        // Process Causes and Prevention Measures
-        let causeRowOffset = 0;
-        hazard.causes.forEach((cause, causeIndex) => {
-          const actualMeasures = cause ? (cause.preventionMeasures || []).length : 0;
-          let causeRows = Math.max(actualMeasures, 1);
+          // Process Causes and Prevention Measures
+          let causeRowOffset = 0;
+          part.causes.forEach((cause, causeIndex) => {
+            const actualMeasures = cause ? (cause.preventionMeasures || []).length : 0;
+            let causeRows = Math.max(actualMeasures, 1);
           
-          // Last cause expands to fill remaining rows
-          if (causeIndex === hazard.causes.length - 1) {
-            causeRows = blockRows - causeRowOffset;
-          }
+            // Last cause expands to fill remaining rows
+            if (causeIndex === part.causes.length - 1) {
+              causeRows = blockRows - causeRowOffset;
+            }
           
-          const causeStartRow = startRow + causeRowOffset;
+            const causeStartRow = startRow + causeRowOffset;
           
-          // Merge cause text across its rows
-          mergeAndSet(sheet, causeStartRow, 2, causeRows, cause ? (cause.text || '') : '');
+            // Merge cause text across its rows
+            mergeAndSet(sheet, causeStartRow, column('Causes'), causeRows, cause ? (cause.text || '') : '');
           
-          // Add prevention measures
-          if (actualMeasures > 0) {
-            const measures = cause.preventionMeasures;
-            measures.forEach((measure, measureIndex) => {
-              const measureRow = causeStartRow + measureIndex;
-              // Last measure expands to fill remaining rows
-              const measureRows = (measureIndex === measures.length - 1) ? 
-                (causeRows - measureIndex) : 1;
-              mergeAndSet(sheet, measureRow, 3, measureRows, measure.text || '');
-            });
-          }
+            // Add prevention measures
+            if (actualMeasures > 0) {
+              const measures = cause.preventionMeasures;
+              measures.forEach((measure, measureIndex) => {
+                const measureRow = causeStartRow + measureIndex;
+                // Last measure expands to fill remaining rows
+                const measureRows = (measureIndex === measures.length - 1) ? 
+                  (causeRows - measureIndex) : 1;
+                writeMeasure(measureRow, measureRows, column('Prevention measures'), measure);
+              });
+            }
           
-          causeRowOffset += causeRows;
-        });
-
-        // Process Consequences and Mitigation Measures
-        let consRowOffset = 0;
-        hazard.consequences.forEach((cons, consIndex) => {
-          const actualMeasures = cons ? (cons.mitigationMeasures || []).length : 0;
-          let consRows = Math.max(actualMeasures, 1);
+            causeRowOffset += causeRows;
+          });
+
+          // Process Consequences and Mitigation Measures
+          let consRowOffset = 0;
+          part.consequences.forEach((cons, consIndex) => {
+            const actualMeasures = cons ? (cons.mitigationMeasures || []).length : 0;
+            let consRows = Math.max(actualMeasures, 1);
           
-          // Last consequence expands to fill remaining rows
-          if (consIndex === hazard.consequences.length - 1) {
-            consRows = blockRows - consRowOffset;
-          }
+            // Last consequence expands to fill remaining rows
+            if (consIndex === part.consequences.length - 1) {
+              consRows = blockRows - consRowOffset;
+            }
           
-          const consStartRow = startRow + consRowOffset;
+            const consStartRow = startRow + consRowOffset;
           
-          // Merge consequence text across its rows
-          mergeAndSet(sheet, consStartRow, 4, consRows, cons ? (cons.text || '') : '');
+            // Merge consequence text across its rows
+            mergeAndSet(sheet, consStartRow, column('Consequences'), consRows, cons ? (cons.text || '') : '');
           
-          // Add mitigation measures
-          if (actualMeasures > 0) {
-            const measures = cons.mitigationMeasures;
-            measures.forEach((measure, measureIndex) => {
-              const measureRow = consStartRow + measureIndex;
-              // Last measure expands to fill remaining rows
-              const measureRows = (measureIndex === measures.length - 1) ? 
-                (consRows - measureIndex) : 1;
-              mergeAndSet(sheet, measureRow, 5, measureRows, measure.text || '');
+            // Add mitigation measures
+            if (actualMeasures > 0) {
+              const measures = cons.mitigationMeasures;
+              measures.forEach((measure, measureIndex) => {
+                const measureRow = consStartRow + measureIndex;
+                // Last measure expands to fill remaining rows
+                const measureRows = (measureIndex === measures.length - 1) ? 
+                  (consRows - measureIndex) : 1;
+                writeMeasure(measureRow, measureRows, column('Mitigation measures'), measure);
+              });
+            }
+          
+            // Risk columns - merge across consequence rows
+            // Current risk lists one line per category ranking; initial and residual have a single ranking
+            const categoryRisks = cons ? cons.categoryRisks || [] : [];
+            const lines = (rankings, fn) => rankings.map(fn).join('\n');
+            mergeAndSet(sheet, consStartRow, column('Severity category'), consRows, lines(categoryRisks, r => getSeverityCategoryLabel(r.severityCategory)));
+            RISK_STAGES.forEach(({ key }) => {
+              const rankings = key === 'risk' ? categoryRisks : [cons ? cons[key] || {} : {}];
+              const col = stageColumns[key];
+              mergeAndSet(sheet, consStartRow, col, consRows, lines(rankings, r => r.severityLevel || ''));
+              mergeAndSet(sheet, consStartRow, col + 1, consRows, lines(rankings, r => r.likelihoodLevel || ''));
+              mergeAndSet(sheet, consStartRow, col + 2, consRows, lines(rankings, r => computeRiskScore(r.severityLevel, r.likelihoodLevel)));
             });
+          
+            consRowOffset += consRows;
+          });
+
+          // Apply borders and styling
+          for (let r = startRow; r < startRow + blockRows; r += 1) {
+            for (let c = 1; c <= headers.length; c += 1) {
+              const cell = sheet.getCell(r, c);
+              cell.border = allBorders(borderColor);
+              cell.alignment = { vertical: 'top', horizontal: 'left', wrapText: true };
+            }
           }
+
+          // Apply risk colors after all merging and styling is complete
+          consRowOffset = 0;
+          part.consequences.forEach((cons, consIndex) => {
+            const actualMeasures = cons ? (cons.mitigationMeasures || []).length : 0;
+            let consRows = Math.max(actualMeasures, 1);
+          
+            // Last consequence expands to fill remaining rows
+            if (consIndex === part.consequences.length - 1) {
+              consRows = blockRows - consRowOffset;
+            }
           
-          // Risk columns - merge across consequence rows
-          const risk = cons ? cons.risk || {} : {};
-          mergeAndSet(sheet, consStartRow, 6, consRows, risk.severityCategory || '');
-          mergeAndSet(sheet, consStartRow, 7, consRows, risk.severityLevel || '');
-          mergeAndSet(sheet, consStartRow, 8, consRows, risk.likelihoodLevel || '');
-          mergeAndSet(sheet, consStartRow, 9, consRows, risk.riskScore || '');
+            const consStartRow = startRow + consRowOffset;
+            RISK_STAGES.forEach(({ key }) => {
+              const ranking = cons ? cons[key] || {} : {};
+              const riskColor = getRiskLevelColor(ranking.severityLevel, ranking.likelihoodLevel);
+              if (!riskColor) return;
+              // Apply color to all rows in the merged range
+              for (let r = consStartRow; r < consStartRow + consRows; r++) {
+                const riskCell = sheet.getCell(r, stageColumns[key] + 2);
+                riskCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: cssHexToARGB(riskColor) } };
+                riskCell.font = { color: { argb: 'FFFFFFFF' } };
+              }
+            });
           
-          consRowOffset += consRows;
+            consRowOffset += consRows;
+          });
+
+          currentRow = startRow + blockRows;
         });
 
-        // Merge Recommendations across all rows
-        mergeAndSet(sheet, startRow, 10, blockRows, hazard.recommendations.map(r => `${r.action} — ${r.responsible}`).join('\n'));
+        // Merge Hazard and Recommendations across the rows of all its top events
+        const hazardRows = currentRow - hazardStartRow;
+        mergeAndSet(sheet, hazardStartRow, 1, hazardRows, hazard.title + (hazard.description ? `\n${hazard.description}` : ''));
+        mergeAndSet(sheet, hazardStartRow, recommendationsColumn, hazardRows, hazard.recommendations.map(r => `${formatRecommendationNumber(r)} ${r.action} — ${r.responsible}`).join('\n'));
+      });
+
+      // Column widths for readability
+      const attributeWidths = BARRIER_ATTRIBUTES.map(() => 14);
+      const widths = [30,24,24,28,...attributeWidths,30,24,28,...attributeWidths,30,18,14,14,12,14,18,12,14,14,12,30];
+      sheet.columns = widths.map(w => ({ width: w }));
 
-        // Apply borders and styling
-        for (let r = startRow; r < startRow + blockRows; r += 1) {
-          for (let c = 1; c <= 10; c += 1) {
-            const cell = sheet.getCell(r, c);
-            cell.border = allBorders(borderColor);
-            cell.alignment = { vertical: 'top', horizontal: 'left', wrapText: true };
+      // Create Summary Worksheet
+      try {
+        const summaryWorksheet = workbook.addWorksheet('Risk Summary');
+        
+        // Summary headers
+        const summaryHeaders = ['Hazard', 'Consequence', 'Severity Category', 'Initial Risk', 'Severity Index', 'Likelihood Index', 'Risk Ranking', 'Risk Index', 'Overall Risk', 'Residual Risk', 'Risk Reduction'];
+        // A consequence is listed once any of its rankings is complete
+        const isRanked = (consequence) => RISK_STAGES.some(({ key }) => consequence[key] && consequence[key].severityLevel && consequence[key].likelihoodLevel);
+        const setRiskCell = (cell, ranking) => {
+          cell.value = ranking ? getRiskLevel(ranking.severityLevel, ranking.likelihoodLevel) : '';
+          const riskColor = ranking ? getRiskLevelColor(ranking.severityLevel, ranking.likelihoodLevel) : '';
+          if (riskColor) {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: cssHexToARGB(riskColor) } };
+            cell.font = { color: { argb: 'FFFFFFFF' } };
           }
-        }
+        };
+        summaryHeaders.forEach((header, index) => {
+          const cell = summaryWorksheet.getCell(1, index + 1);
+          cell.value = header;
+          cell.font = { color: { argb: 'FFFFFFFF' }, bold: true };
+          cell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FF024F75' }
+          };
+          cell.alignment = { horizontal: 'center', vertical: 'middle' };
+        });
 
-        // Apply risk colors after all merging and styling is complete
-        consRowOffset = 0;
-        hazard.consequences.forEach((cons, consIndex) => {
-          const actualMeasures = cons ? (cons.mitigationMeasures || []).length : 0;
-          let consRows = Math.max(actualMeasures, 1);
-          
-          // Last consequence expands to fill remaining rows
-          if (consIndex === hazard.consequences.length - 1) {
-            consRows = blockRows - consRowOffset;
+        // Add summary data with hazard spanning
+        let summaryRow = 2;
+        exportRows.forEach(({ node, hazard }) => {
+          if (node) {
+            const nodeHasRanked = hazards.some(h => h.nodeId === node.id && h.consequences.some(isRanked));
+            if (nodeHasRanked) {
+              writeNodeHeaderRow(summaryWorksheet, summaryRow, summaryHeaders.length, node);
+              summaryRow++;
+            }
+            return;
           }
+
+          // Count risk-ranked consequences for this hazard
+          const riskRankedConsequences = hazard.consequences.filter(isRanked);
           
-          const consStartRow = startRow + consRowOffset;
-          const risk = cons ? cons.risk || {} : {};
-          const riskColor = getRiskLevelColor(risk.severityLevel, risk.likelihoodLevel);
-          
-          if (riskColor && risk.riskScore) {
-            // Apply color to all rows in the merged range
-            for (let r = consStartRow; r < consStartRow + consRows; r++) {
-              const riskCell = sheet.getCell(r, 9);
-              riskCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: cssHexToARGB(riskColor) } };
-              riskCell.font = { color: { argb: 'FFFFFFFF' } };
+          if (riskRankedConsequences.length > 0) {
+            const hazardStartRow = summaryRow;
+            
+            riskRankedConsequences.forEach((consequence) => {
+              // One row per category ranking; consequence-level cells are merged across them
+              const categoryRisks = (consequence.categoryRisks || []).filter(r => r.severityCategory || r.severityLevel || r.likelihoodLevel);
+              const rankings = categoryRisks.length > 0 ? categoryRisks : [consequence.risk];
+              const consequenceStartRow = summaryRow;
+
+              rankings.forEach((ranking) => {
+                // Severity Category
+                summaryWorksheet.getCell(summaryRow, 3).value = getSeverityCategoryLabel(ranking.severityCategory);
+                
+                // Severity Index
+                summaryWorksheet.getCell(summaryRow, 5).value = ranking.severityLevel || '';
+                
+                // Likelihood Index
+                summaryWorksheet.getCell(summaryRow, 6).value = ranking.likelihoodLevel || '';
+                
+                // Risk Ranking (current, for this category)
+                setRiskCell(summaryWorksheet.getCell(summaryRow, 7), ranking);
+
+                // Risk Index (numeric, when the matrix levels have values)
+                const riskIndex = computeRiskIndex(ranking.severityLevel, ranking.likelihoodLevel);
+                summaryWorksheet.getCell(summaryRow, 8).value = riskIndex === null ? '' : riskIndex;
+
+                summaryRow++;
+              });
+
+              // Consequence, initial, overall (worst category) and residual risk, and the reduction
+              summaryWorksheet.getCell(consequenceStartRow, 2).value = consequence.text || 'Untitled Consequence';
+              setRiskCell(summaryWorksheet.getCell(consequenceStartRow, 4), consequence.initialRisk);
+              setRiskCell(summaryWorksheet.getCell(consequenceStartRow, 9), consequence.risk);
+              setRiskCell(summaryWorksheet.getCell(consequenceStartRow, 10), consequence.residualRisk);
+              summaryWorksheet.getCell(consequenceStartRow, 11).value = describeRiskReduction(consequence);
+              if (rankings.length > 1) {
+                [2, 4, 9, 10, 11].forEach(col => summaryWorksheet.mergeCells(consequenceStartRow, col, summaryRow - 1, col));
+              }
+            });
+            
+            // Add hazard name to first row and merge if multiple rows
+            summaryWorksheet.getCell(hazardStartRow, 1).value = hazard.title || 'Untitled Hazard';
+            if (summaryRow - hazardStartRow > 1) {
+              summaryWorksheet.mergeCells(hazardStartRow, 1, summaryRow - 1, 1);
             }
           }
-          
-          consRowOffset += consRows;
         });
 
-        currentRow = startRow + blockRows;
-      });
+        // Style summary worksheet
+        // Set column widths
+        summaryWorksheet.getColumn(1).width = 30; // Hazard
+        summaryWorksheet.getColumn(2).width = 40; // Consequence
+        summaryWorksheet.getColumn(3).width = 20; // Severity Category
+        summaryWorksheet.getColumn(4).width = 15; // Initial Risk
+        summaryWorksheet.getColumn(5).width = 15; // Severity Index
+        summaryWorksheet.getColumn(6).width = 15; // Likelihood Index
+        summaryWorksheet.getColumn(7).width = 15; // Risk Ranking
+        summaryWorksheet.getColumn(8).width = 12; // Risk Index
+        summaryWorksheet.getColumn(9).width = 15; // Overall Risk
+        summaryWorksheet.getColumn(10).width = 15; // Residual Risk
+        summaryWorksheet.getColumn(11).width = 22; // Risk Reduction
 
-      // Column widths for readability
-      const widths = [30,24,28,24,28,18,14,18,12,30];
-      sheet.columns = widths.map(w => ({ width: w }));
+        // Add borders to all cells
+        if (summaryRow > 2) {
+          // Apply borders to all data cells
+          for (let row = 1; row < summaryRow; row++) {
+            for (let col = 1; col <= summaryHeaders.length; col++) {
+              const cell = summaryWorksheet.getCell(row, col);
+              if (row === 1) {
+                // Header borders (white)
+                cell.border = {
+                  top: { style: 'thin', color: { argb: 'FFFFFFFF' } },
+                  left: { style: 'thin', color: { argb: 'FFFFFFFF' } },
+                  bottom: { style: 'thin', color: { argb: 'FFFFFFFF' } },
+                  right: { style: 'thin', color: { argb: 'FFFFFFFF' } }
+                };
+              } else {
+                // Data cell borders (blue)
+                cell.border = {
+                  top: { style: 'thin', color: { argb: 'FF024F75' } },
+                  left: { style: 'thin', color: { argb: 'FF024F75' } },
+                  bottom: { style: 'thin', color: { argb: 'FF024F75' } },
+                  right: { style: 'thin', color: { argb: 'FF024F75' } }
+                };
+              }
+            }
+          }
+        }
+      } catch (summaryError) {
+        console.error('Summary worksheet creation failed:', summaryError);
+        // Continue with main worksheet even if summary fails
+      }
 
-      // Create Summary Worksheet
+      // Create Recommendations Worksheet
       try {
-        const summaryWorksheet = workbook.addWorksheet('Risk Summary');
+        const recommendationsWorksheet = workbook.addWorksheet('Recommendations');
         
-        // Summary headers
-        const summaryHeaders = ['Hazard', 'Consequence', 'Severity Category', 'Severity Index', 'Likelihood Index', 'Risk Ranking'];
-        summaryHeaders.forEach((header, index) => {
-          const cell = summaryWorksheet.getCell(1, index + 1);
+        // Recommendations headers
+        const recommendationsHeaders = ['Hazard', 'No.', 'Action', 'Addresses', 'Responsible Party', 'Priority', 'Due Date', 'Status', 'Closure Comment', 'Closure Evidence'];
+        recommendationsHeaders.forEach((header, index) => {
+          const cell = recommendationsWorksheet.getCell(1, index + 1);
           cell.value = header;
           cell.font = { color: { argb: 'FFFFFFFF' }, bold: true };
           cell.fill = {
@@ -1062,74 +4363,67 @@
           cell.alignment = { horizontal: 'center', vertical: 'middle' };
         });
 
-        // Add summary data with hazard spanning
-        let summaryRow = 2;
+        // Add recommendations data with hazard spanning
+        let recommendationsRow = 2;
         hazards.forEach((hazard) => {
-          // Count risk-ranked consequences for this hazard
-          const riskRankedConsequences = hazard.consequences.filter(consequence => 
-            consequence.risk && consequence.risk.severityLevel && consequence.risk.likelihoodLevel
-          );
-          
-          if (riskRankedConsequences.length > 0) {
-            const hazardStartRow = summaryRow;
-            let consequenceCount = 0;
+          if (hazard.recommendations && hazard.recommendations.length > 0) {
+            const hazardStartRow = recommendationsRow;
+            let recommendationCount = 0;
             
-            riskRankedConsequences.forEach((consequence) => {
-              // Consequence
-              summaryWorksheet.getCell(summaryRow, 2).value = consequence.text || 'Untitled Consequence';
-              
-              // Severity Category
-              summaryWorksheet.getCell(summaryRow, 3).value = consequence.risk.severityCategory || '';
-              
-              // Severity Index
-              summaryWorksheet.getCell(summaryRow, 4).value = consequence.risk.severityLevel || '';
-              
-              // Likelihood Index
-              summaryWorksheet.getCell(summaryRow, 5).value = consequence.risk.likelihoodLevel || '';
-              
-              // Risk Ranking
-              const riskLevel = getRiskLevel(consequence.risk.severityLevel, consequence.risk.likelihoodLevel);
-              summaryWorksheet.getCell(summaryRow, 6).value = riskLevel || '';
-              
-              // Apply risk color to risk ranking cell
-              const riskColor = getRiskLevelColor(consequence.risk.severityLevel, consequence.risk.likelihoodLevel);
-              if (riskColor) {
-                const riskCell = summaryWorksheet.getCell(summaryRow, 6);
-                riskCell.fill = {
-                  type: 'pattern',
-                  pattern: 'solid',
-                  fgColor: { argb: cssHexToARGB(riskColor) }
-                };
-                riskCell.font = { color: { argb: 'FFFFFFFF' } };
+            hazard.recommendations.forEach((recommendation) => {
+              [
+                formatRecommendationNumber(recommendation),
+                recommendation.action || '',
+                getLinkedTargets(hazard, recommendation).map(describeTarget).join('\n'),
+                recommendation.responsible || '',
+                RECOMMENDATION_PRIORITY_LABELS[recommendation.priority] || '',
+                recommendation.dueDate || '',
+                RECOMMENDATION_STATUS_LABELS[recommendation.status] || '',
+                recommendation.closureComment || '',
+                recommendation.closureEvidence || ''
+              ].forEach((value, index) => {
+                const cell = recommendationsWorksheet.getCell(recommendationsRow, index + 2);
+                cell.value = value;
+                cell.alignment = { vertical: 'top', horizontal: 'left', wrapText: true };
+              });
+              // Overdue actions are highlighted on their due date
+              if (isRecommendationOverdue(recommendation)) {
+                const dueCell = recommendationsWorksheet.getCell(recommendationsRow, 7);
+                dueCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF8D7DA' } };
+                dueCell.font = { bold: true, color: { argb: 'FF9B1C1C' } };
               }
               
-              summaryRow++;
-              consequenceCount++;
+              recommendationsRow++;
+              recommendationCount++;
             });
             
-            // Add hazard name to first row and merge if multiple consequences
-            summaryWorksheet.getCell(hazardStartRow, 1).value = hazard.title || 'Untitled Hazard';
-            if (consequenceCount > 1) {
-              summaryWorksheet.mergeCells(hazardStartRow, 1, hazardStartRow + consequenceCount - 1, 1);
+            // Add hazard name to first row and merge if multiple recommendations
+            recommendationsWorksheet.getCell(hazardStartRow, 1).value = hazard.title || 'Untitled Hazard';
+            if (recommendationCount > 1) {
+              recommendationsWorksheet.mergeCells(hazardStartRow, 1, hazardStartRow + recommendationCount - 1, 1);
             }
           }
         });
 
-        // Style summary worksheet
+        // Style recommendations worksheet
         // Set column widths
-        summaryWorksheet.getColumn(1).width = 30; // Hazard
-        summaryWorksheet.getColumn(2).width = 40; // Consequence
-        summaryWorksheet.getColumn(3).width = 20; // Severity Category
-        summaryWorksheet.getColumn(4).width = 15; // Severity Index
-        summaryWorksheet.getColumn(5).width = 15; // Likelihood Index
-        summaryWorksheet.getColumn(6).width = 15; // Risk Ranking
+        recommendationsWorksheet.getColumn(1).width = 30; // Hazard
+        recommendationsWorksheet.getColumn(2).width = 10; // No.
+        recommendationsWorksheet.getColumn(3).width = 50; // Action
+        recommendationsWorksheet.getColumn(4).width = 40; // Addresses
+        recommendationsWorksheet.getColumn(5).width = 25; // Responsible Party
+        recommendationsWorksheet.getColumn(6).width = 12; // Priority
+        recommendationsWorksheet.getColumn(7).width = 14; // Due Date
+        recommendationsWorksheet.getColumn(8).width = 14; // Status
+        recommendationsWorksheet.getColumn(9).width = 40; // Closure Comment
+        recommendationsWorksheet.getColumn(10).width = 30; // Closure Evidence
 
         // Add borders to all cells
-        if (summaryRow > 2) {
+        if (recommendationsRow > 2) {
           // Apply borders to all data cells
-          for (let row = 1; row < summaryRow; row++) {
-            for (let col = 1; col <= 6; col++) {
-              const cell = summaryWorksheet.getCell(row, col);
+          for (let row = 1; row < recommendationsRow; row++) {
+            for (let col = 1; col <= recommendationsHeaders.length; col++) {
+              const cell = recommendationsWorksheet.getCell(row, col);
               if (row === 1) {
                 // Header borders (white)
                 cell.border = {
@@ -1149,153 +4443,1131 @@
               }
             }
           }
-        }
-      } catch (summaryError) {
-        console.error('Summary worksheet creation failed:', summaryError);
-        // Continue with main worksheet even if summary fails
+        }
+      } catch (recommendationsError) {
+        console.error('Recommendations worksheet creation failed:', recommendationsError);
+        // Continue even if recommendations worksheet fails
+      }
+
+      try {
+        addBarriersSheet(workbook);
+      } catch (barriersError) {
+        console.error('Barriers worksheet creation failed:', barriersError);
+      }
+
+      try {
+        addRiskMatrixSheet(workbook);
+      } catch (heatMapError) {
+        console.error('Risk matrix worksheet creation failed:', heatMapError);
+      }
+
+      try {
+        addGuidewordCoverageSheet(workbook);
+      } catch (coverageError) {
+        console.error('Guideword coverage worksheet creation failed:', coverageError);
+      }
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url; a.download = `${exportFileName()}.xlsx`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Excel export failed', err);
+      alert('Excel export failed: ' + err.message + '. Please check the console for details.');
+    }
+  }
+
+  // Study metadata sheet: one "label | value" row per field
+  function addStudySheet(workbook) {
+    const sheet = workbook.addWorksheet('Study');
+    const titleCell = sheet.getCell(1, 1);
+    titleCell.value = 'HAZID Study';
+    titleCell.font = { bold: true, size: 14, color: { argb: 'FF024F75' } };
+
+    const rows = STUDY_META_FIELDS.map(({ key, label }) => [label, state.study[key] || '']);
+    rows.push(['Exported', new Date().toISOString().slice(0, 10)]);
+    rows.forEach(([label, value], i) => {
+      const labelCell = sheet.getCell(i + 3, 1);
+      labelCell.value = label;
+      labelCell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      labelCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF024F75' } };
+      labelCell.border = allBorders('#024F75');
+      const valueCell = sheet.getCell(i + 3, 2);
+      valueCell.value = value;
+      valueCell.border = allBorders('#024F75');
+      valueCell.alignment = { vertical: 'top', horizontal: 'left', wrapText: true };
+    });
+    sheet.getColumn(1).width = 20;
+    sheet.getColumn(2).width = 50;
+  }
+
+  // Barrier register: one row per barrier with the threats and consequences it protects against
+  function addBarriersSheet(workbook) {
+    const sheet = workbook.addWorksheet('Barriers');
+    const headers = ['Barrier', 'Description', ...BARRIER_ATTRIBUTES.map(a => a.label), 'Threats', 'Consequences'];
+    headers.forEach((header, index) => {
+      const cell = sheet.getCell(1, index + 1);
+      cell.value = header;
+      cell.font = { color: { argb: 'FFFFFFFF' }, bold: true };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF024F75' } };
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+      cell.border = headerBorders();
+    });
+    sortedBarriers().forEach((barrier, i) => {
+      const { threats, consequences } = describeBarrierUses(barrier.id);
+      const attributes = BARRIER_ATTRIBUTES.map(attr => formatBarrierAttribute(barrier, attr));
+      [barrier.name, barrier.description, ...attributes, threats.join('\n'), consequences.join('\n')].forEach((value, index) => {
+        const cell = sheet.getCell(i + 2, index + 1);
+        cell.value = value;
+        cell.alignment = { vertical: 'top', horizontal: 'left', wrapText: true };
+        cell.border = allBorders('#024F75');
+      });
+    });
+    [30, 40, ...BARRIER_ATTRIBUTES.map(() => 16), 50, 50].forEach((width, index) => { sheet.getColumn(index + 1).width = width; });
+  }
+
+  // Heat map grids: overall, then one per severity category, each cell holding its consequence count
+  function addRiskMatrixSheet(workbook) {
+    const sheet = workbook.addWorksheet('Risk Matrix');
+    const { likelihood, severity } = state.riskMatrix;
+    const views = [{ id: '', label: 'Overall (worst category)' }, ...getSeverityCategories()];
+    let row = 1;
+    views.forEach(({ id, label }) => {
+      const cells = countHeatMap(id);
+      const total = Object.values(cells).reduce((sum, entries) => sum + entries.length, 0);
+      sheet.mergeCells(row, 1, row, likelihood.length + 1);
+      const title = sheet.getCell(row, 1);
+      title.value = `${label}: ${total} consequence(s)`;
+      title.font = { bold: true, color: { argb: 'FF024F75' } };
+      row++;
+
+      const corner = sheet.getCell(row, 1);
+      corner.value = 'Severity / Likelihood';
+      [corner, ...likelihood.map((lik, li) => {
+        const cell = sheet.getCell(row, li + 2);
+        cell.value = lik.label;
+        return cell;
+      })].forEach((cell) => {
+        cell.font = { color: { argb: 'FFFFFFFF' }, bold: true };
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF024F75' } };
+        cell.alignment = { horizontal: 'center', vertical: 'middle' };
+        cell.border = headerBorders();
+      });
+      row++;
+
+      severity.forEach((sev) => {
+        const header = sheet.getCell(row, 1);
+        header.value = sev.label;
+        header.font = { bold: true };
+        header.alignment = { horizontal: 'center', vertical: 'middle' };
+        header.border = allBorders('#024F75');
+        likelihood.forEach((lik, li) => {
+          const key = `${lik.id}-${sev.id}`;
+          const riskLevel = state.riskMatrix.matrix[key];
+          const cell = sheet.getCell(row, li + 2);
+          cell.value = (cells[key] || []).length;
+          cell.alignment = { horizontal: 'center', vertical: 'middle' };
+          cell.border = allBorders('#024F75');
+          if (riskLevel) {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: cssHexToARGB(riskLevel.color) } };
+            cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+          }
+        });
+        row++;
+      });
+      row++;
+    });
+    sheet.getColumn(1).width = 22;
+    likelihood.forEach((lik, li) => { sheet.getColumn(li + 2).width = 12; });
+  }
+
+  // Guideword coverage: one row per node and guideword with the review outcome
+  function addGuidewordCoverageSheet(workbook) {
+    const sheet = workbook.addWorksheet('Guideword Coverage');
+    const headers = ['Node', 'Category', 'Guideword', 'Status', 'Hazards', 'Comment'];
+    headers.forEach((header, index) => {
+      const cell = sheet.getCell(1, index + 1);
+      cell.value = header;
+      cell.font = { color: { argb: 'FFFFFFFF' }, bold: true };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF024F75' } };
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+      cell.border = headerBorders();
+    });
+
+    let row = 2;
+    state.nodes.forEach((node) => {
+      getGuidewordCoverage(node).forEach(({ guideword, status, hazards, comment }) => {
+        const values = [
+          node.name || 'Untitled node',
+          guideword.category,
+          guideword.name,
+          GUIDEWORD_STATUS_LABELS[status],
+          hazards.map(h => h.title || 'Untitled Hazard').join('\n'),
+          comment
+        ];
+        values.forEach((value, index) => {
+          const cell = sheet.getCell(row, index + 1);
+          cell.value = value;
+          cell.alignment = { vertical: 'top', horizontal: 'left', wrapText: true };
+          cell.border = allBorders('#024F75');
+        });
+        row++;
+      });
+    });
+    [20, 26, 28, 18, 36, 40].forEach((width, index) => { sheet.getColumn(index + 1).width = width; });
+  }
+
+  // Node header: one shaded row merged across the sheet's columns
+  function writeNodeHeaderRow(sheet, row, columnCount, node) {
+    sheet.mergeCells(row, 1, row, columnCount);
+    const cell = sheet.getCell(row, 1);
+    cell.value = `Node: ${node.name || 'Untitled node'}`;
+    cell.font = { bold: true, color: { argb: 'FF024F75' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E8F0' } };
+    cell.alignment = { vertical: 'middle', horizontal: 'left' };
+    cell.border = allBorders('#024F75');
+  }
+
+  function allBorders(hex) {
+    const argb = cssHexToARGB(hex);
+    return {
+      top: { style: 'thin', color: { argb } },
+      left: { style: 'thin', color: { argb } },
+      bottom: { style: 'thin', color: { argb } },
+      right: { style: 'thin', color: { argb } }
+    };
+  }
+
+  function headerBorders() {
+    const whiteArgb = 'FFFFFFFF';
+    const blueArgb = cssHexToARGB('#024F75');
+    return {
+      top: { style: 'thin', color: { argb: blueArgb } },
+      left: { style: 'thin', color: { argb: whiteArgb } },
+      bottom: { style: 'thin', color: { argb: blueArgb } },
+      right: { style: 'thin', color: { argb: whiteArgb } }
+    };
+  }
+
+  function cssHexToARGB(hex) {
+    const clean = hex.replace('#','');
+    if (clean.length === 6) return 'FF' + clean.toUpperCase();
+    if (clean.length === 3) return 'FF' + clean.split('').map(x => x + x).join('').toUpperCase();
+    return 'FF000000';
+  }
+
+  // Merge helper for Excel export
+  function mergeAndSet(sheet, startRow, col, rowSpan, value) {
+    const endRow = startRow + Math.max(rowSpan, 1) - 1;
+    if (endRow > startRow) {
+      sheet.mergeCells(startRow, col, endRow, col);
+    }
+    const cell = sheet.getCell(startRow, col);
+    cell.value = value == null ? '' : String(value);
+    cell.alignment = { vertical: 'top', horizontal: 'left', wrapText: true };
+  }
+
+  // Excel import - reads back the HAZID sheet layout written by exportToExcel.
+  // Columns are located by their header text; merged cells mark the extent of
+  // each hazard, cause and consequence block.
+  const EXCEL_HAZID_COLUMNS = {
+    hazard: 'Hazard',
+    topEvent: 'Top event',
+    cause: 'Causes',
+    preventionMeasure: 'Prevention measures',
+    consequence: 'Consequences',
+    mitigationMeasure: 'Mitigation measures',
+    // 'prevention:type': 'Prevention type', ..., 'mitigation:status': 'Mitigation status'
+    ...Object.fromEntries(['Prevention', 'Mitigation'].flatMap(side => BARRIER_ATTRIBUTES.map(({ key }, i) =>
+      [`${side.toLowerCase()}:${key}`, barrierAttributeHeaders(side)[i]]))),
+    preventionEscalation: 'Prevention escalation factors',
+    mitigationEscalation: 'Mitigation escalation factors',
+    severityCategory: 'Severity category',
+    severityLevel: 'Severity level',
+    likelihoodLevel: 'Likelihood level',
+    initialSeverityLevel: 'Initial severity',
+    initialLikelihoodLevel: 'Initial likelihood',
+    residualSeverityLevel: 'Residual severity',
+    residualLikelihoodLevel: 'Residual likelihood',
+    recommendations: 'Recommendations'
+  };
+
+  async function importFromExcel(buffer) {
+    try {
+      if (!window.ExcelJS) { alert('Excel import library not loaded'); return; }
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      const sheet = workbook.getWorksheet('HAZID') || workbook.worksheets[0];
+      if (!sheet) throw new Error('The workbook has no worksheets');
+
+      const { nodes, hazards, barriers, problems } = parseHazidSheet(sheet);
+      if (hazards.length === 0) throw new Error(`No hazards found in sheet "${sheet.name}"`);
+      numberRecommendations(hazards);
+      const recommendationsSheet = workbook.getWorksheet('Recommendations');
+      if (recommendationsSheet) readRecommendationsSheet(recommendationsSheet, hazards, problems);
+      const barriersSheet = workbook.getWorksheet('Barriers');
+      if (barriersSheet) readBarriersSheet(barriersSheet, barriers, problems);
+
+      editHistory.record('Import Excel');
+      // Guideword reviews follow their node by name; reviews of vanished nodes are dropped
+      const nodeIdByName = new Map(nodes.map(n => [n.name, n.id]));
+      state.guidewordReviews = state.guidewordReviews.flatMap((review) => {
+        const oldNode = state.nodes.find(n => n.id === review.nodeId);
+        const nodeId = oldNode && nodeIdByName.get(oldNode.name);
+        return nodeId ? [{ ...review, nodeId }] : [];
+      });
+      state.nodes = nodes;
+      state.hazards = hazards;
+      state.barriers = barriers;
+      const studySheet = workbook.getWorksheet('Study');
+      if (studySheet) readStudySheet(studySheet);
+      scheduleSaveAndRerender();
+      renderStudyPanel();
+      renderGuidewordPanel();
+
+      let message = `Imported ${hazards.length} hazard(s) from sheet "${sheet.name}".`;
+      if (problems.length > 0) {
+        message += `\n\n${problems.length} issue(s) could not be interpreted:\n${formatIssueList(problems)}`;
+      }
+      alert(message);
+    } catch (err) {
+      console.error('Excel import failed', err);
+      alert('Failed to import Excel: ' + err.message);
+    }
+  }
+
+  function parseHazidSheet(sheet) {
+    const problems = [];
+    const columns = {};
+    sheet.getRow(1).eachCell((cell, colNumber) => {
+      const header = excelCellText(cell).trim().toLowerCase();
+      const field = Object.keys(EXCEL_HAZID_COLUMNS).find(f => EXCEL_HAZID_COLUMNS[f].toLowerCase() === header);
+      if (field && !columns[field]) columns[field] = colNumber;
+    });
+    const missing = ['hazard', 'cause', 'consequence'].filter(f => !columns[f]);
+    if (missing.length > 0) {
+      throw new Error(`Sheet "${sheet.name}" is missing the column(s): ${missing.map(f => EXCEL_HAZID_COLUMNS[f]).join(', ')}`);
+    }
+
+    // Text of a cell that starts a block on this row; null when the cell
+    // continues a merged block from above or the column is absent
+    const ownText = (row, field) => {
+      if (!columns[field]) return null;
+      const cell = row.getCell(columns[field]);
+      if (cell.type === ExcelJS.ValueType.Merge) return null;
+      return excelCellText(cell).trim();
+    };
+
+    const nodes = [];
+    const hazards = [];
+    // Measures join the current register, matching barriers by name
+    const barriers = deepClone(state.barriers);
+    const readMeasureAttributes = (barrier, side, text, r) => BARRIER_ATTRIBUTES.forEach((attr) => {
+      readBarrierAttribute(barrier, attr, text[`${side}:${attr.key}`], `Row ${r}`, problems);
+    });
+    let node = null;
+    let hazard = null;
+    let topEvent = null;
+    let cause = null;
+    let consequence = null;
+
+    for (let r = 2; r <= sheet.rowCount; r += 1) {
+      const row = sheet.getRow(r);
+
+      // Node headers are merged across the row, so the cause column continues the hazard column
+      const causeCell = row.getCell(columns.cause);
+      if (causeCell.type === ExcelJS.ValueType.Merge && causeCell.master.address === row.getCell(columns.hazard).address) {
+        node = createNode(excelCellText(causeCell.master).trim().replace(/^Node:\s*/i, '') || 'Untitled node');
+        nodes.push(node);
+        hazard = null;
+        continue;
+      }
+
+      const text = {};
+      Object.keys(columns).forEach((field) => { text[field] = ownText(row, field) || ''; });
+      if (Object.values(text).every(v => v === '')) continue;
+
+      if (text.hazard) {
+        const [title, ...descLines] = text.hazard.split(/\r?\n/);
+        if (!node) {
+          node = createNode('General');
+          nodes.push(node);
+        }
+        hazard = createHazard(node.id);
+        hazard.title = title.trim();
+        hazard.description = descLines.join('\n').trim();
+        hazard.recommendations = parseExcelRecommendations(text.recommendations);
+        hazards.push(hazard);
+        topEvent = hazard.topEvents[0];
+        cause = null;
+        consequence = null;
+      } else if (!hazard) {
+        problems.push(`Row ${r}: no hazard above this row, skipped`);
+        continue;
+      } else if (text.recommendations) {
+        hazard.recommendations.push(...parseExcelRecommendations(text.recommendations));
+      }
+
+      // A top event starts a block of its own causes and consequences
+      if (text.topEvent) {
+        const used = [...hazard.causes, ...hazard.consequences].some(item => item.topEventId === topEvent.id);
+        if (used || topEvent.text) {
+          topEvent = createTopEvent();
+          hazard.topEvents.push(topEvent);
+          cause = null;
+          consequence = null;
+        }
+        topEvent.text = text.topEvent;
+      }
+
+      if (text.cause || (text.preventionMeasure && !cause)) {
+        cause = createCause(topEvent.id);
+        cause.text = text.cause;
+        hazard.causes.push(cause);
+      }
+      if (text.preventionMeasure) {
+        const barrier = barrierForName(text.preventionMeasure, barriers);
+        const measure = createMeasure(barrier.id);
+        measure.escalationFactors = parseEscalationFactors(text.preventionEscalation);
+        cause.preventionMeasures.push(measure);
+        readMeasureAttributes(barrier, 'prevention', text, r);
+      } else if (text.preventionEscalation) {
+        problems.push(`Row ${r}: prevention escalation factors without a measure, ignored`);
+      }
+
+      const hasRisk = text.severityCategory || text.severityLevel || text.likelihoodLevel ||
+        text.initialSeverityLevel || text.initialLikelihoodLevel || text.residualSeverityLevel || text.residualLikelihoodLevel;
+      if (text.consequence || ((text.mitigationMeasure || hasRisk) && !consequence)) {
+        consequence = createConsequence(topEvent.id);
+        consequence.text = text.consequence;
+        consequence.categoryRisks = parseExcelCategoryRisks(text, r, problems);
+        syncConsequenceRisk(consequence);
+        consequence.initialRisk = parseExcelRanking(text.initialSeverityLevel, text.initialLikelihoodLevel, 'initial ', r, problems);
+        consequence.residualRisk = parseExcelRanking(text.residualSeverityLevel, text.residualLikelihoodLevel, 'residual ', r, problems);
+        hazard.consequences.push(consequence);
+      } else if (hasRisk) {
+        problems.push(`Row ${r}: risk values are not on the first row of a consequence, ignored`);
+      }
+      if (text.mitigationMeasure) {
+        const barrier = barrierForName(text.mitigationMeasure, barriers);
+        const measure = createMeasure(barrier.id);
+        measure.escalationFactors = parseEscalationFactors(text.mitigationEscalation);
+        consequence.mitigationMeasures.push(measure);
+        readMeasureAttributes(barrier, 'mitigation', text, r);
+      } else if (text.mitigationEscalation) {
+        problems.push(`Row ${r}: mitigation escalation factors without a measure, ignored`);
+      }
+    }
+
+    return { nodes, hazards, barriers, problems };
+  }
+
+  // Category rankings are written one per line in the category, severity and likelihood cells
+  function parseExcelCategoryRisks(text, rowNumber, problems) {
+    const splitLines = value => (value || '').split(/\r?\n/).map(line => line.trim());
+    const categories = splitLines(text.severityCategory);
+    const severities = splitLines(text.severityLevel);
+    const likelihoods = splitLines(text.likelihoodLevel);
+    const count = Math.max(categories.length, severities.length, likelihoods.length);
+    const rankings = [];
+    for (let i = 0; i < count; i += 1) {
+      const risk = { severityCategory: '', ...parseExcelRanking(severities[i], likelihoods[i], '', rowNumber, problems) };
+      const name = (categories[i] || '').toLowerCase();
+      const category = getSeverityCategories().find(c => c.id.toLowerCase() === name || c.label.toLowerCase() === name);
+      if (category && !rankings.some(r => r.severityCategory === category.id)) risk.severityCategory = category.id;
+      else if (name) problems.push(`Row ${rowNumber}: unknown or repeated severity category "${categories[i]}"`);
+      if (risk.severityCategory || risk.severityLevel || risk.likelihoodLevel) rankings.push(risk);
+    }
+    return rankings.length > 0 ? rankings : [createRisk()];
+  }
+
+  // Levels are matched by id or label; `prefix` names the ranking in problem messages
+  function parseExcelRanking(severityText, likelihoodText, prefix, rowNumber, problems) {
+    const ranking = createRiskRanking();
+    const matchLevel = (levels, value) => levels.find(l => String(l.id).toLowerCase() === value.toLowerCase() || String(l.label).toLowerCase() === value.toLowerCase());
+
+    if (severityText) {
+      const level = matchLevel(state.riskMatrix.severity, severityText);
+      if (level) ranking.severityLevel = level.id;
+      else problems.push(`Row ${rowNumber}: unknown ${prefix}severity level "${severityText}"`);
+    }
+    if (likelihoodText) {
+      const level = matchLevel(state.riskMatrix.likelihood, likelihoodText);
+      if (level) ranking.likelihoodLevel = level.id;
+      else problems.push(`Row ${rowNumber}: unknown ${prefix}likelihood level "${likelihoodText}"`);
+    }
+    ranking.riskScore = computeRiskScore(ranking.severityLevel, ranking.likelihoodLevel);
+    return ranking;
+  }
+
+  // Recommendations are written one per line as "R-001 action — responsible";
+  // the number is optional and lines without one are numbered after the import
+  function parseExcelRecommendations(value) {
+    return (value || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).map((line) => {
+      const numbered = line.match(/^R-(\d+)\s+/i);
+      const reco = createRecommendation(numbered ? Number(numbered[1]) : 0);
+      if (numbered) line = line.slice(numbered[0].length);
+      const sep = line.lastIndexOf('—');
+      reco.action = (sep >= 0 ? line.slice(0, sep) : line).trim();
+      reco.responsible = sep >= 0 ? line.slice(sep + 1).trim() : '';
+      return reco;
+    });
+  }
+
+  // Tracking fields of the Recommendations sheet, matched to the imported recommendations by number
+  function readRecommendationsSheet(sheet, hazards, problems) {
+    const columns = {};
+    sheet.getRow(1).eachCell((cell, colNumber) => { columns[excelCellText(cell).trim().toLowerCase()] = colNumber; });
+    if (!columns['no.']) return;
+    const byNumber = new Map(hazards.flatMap(hazard => hazard.recommendations.map(reco => [reco.number, { reco, hazard }])));
+    const fromLabel = (labels, text) => Object.keys(labels).find(key => labels[key].toLowerCase() === text.toLowerCase());
+    const cellText = (row, header) => (columns[header] ? excelCellText(row.getCell(columns[header])).trim() : '');
+
+    for (let r = 2; r <= sheet.rowCount; r += 1) {
+      const row = sheet.getRow(r);
+      const numberText = cellText(row, 'no.');
+      const match = numberText.match(/^R-(\d+)$/i);
+      if (!match) continue;
+      const found = byNumber.get(Number(match[1]));
+      if (!found) {
+        problems.push(`Recommendations row ${r}: ${numberText} is not in the HAZID sheet, skipped`);
+        continue;
+      }
+      const { reco, hazard } = found;
+      const priority = cellText(row, 'priority');
+      const status = cellText(row, 'status');
+      const dueDate = cellText(row, 'due date');
+      if (priority && fromLabel(RECOMMENDATION_PRIORITY_LABELS, priority)) reco.priority = fromLabel(RECOMMENDATION_PRIORITY_LABELS, priority);
+      else if (priority) problems.push(`Recommendations row ${r}: unknown priority "${priority}"`);
+      if (status && fromLabel(RECOMMENDATION_STATUS_LABELS, status)) reco.status = fromLabel(RECOMMENDATION_STATUS_LABELS, status);
+      else if (status) problems.push(`Recommendations row ${r}: unknown status "${status}"`);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) reco.dueDate = dueDate;
+      else if (dueDate) problems.push(`Recommendations row ${r}: due date "${dueDate}" is not YYYY-MM-DD`);
+      reco.closureComment = cellText(row, 'closure comment');
+      reco.closureEvidence = cellText(row, 'closure evidence');
+      // Addresses are "Cause: text" lines matched against the hazard's items
+      const targets = getRecommendationTargets(hazard);
+      cellText(row, 'addresses').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach((line) => {
+        const target = targets.find(t => describeTarget(t) === line);
+        if (!target) problems.push(`Recommendations row ${r}: ${numberText} addresses "${line}", which is not in its hazard`);
+        else if (!reco.links.some(link => link.type === target.type && link.id === target.id)) reco.links.push({ type: target.type, id: target.id });
+      });
+    }
+  }
+
+  // Descriptions and attributes of register barriers, including ones no measure uses
+  function readBarriersSheet(sheet, barriers, problems) {
+    const columns = {};
+    sheet.getRow(1).eachCell((cell, colNumber) => { columns[excelCellText(cell).trim().toLowerCase()] = colNumber; });
+    if (!columns.barrier) return;
+    for (let r = 2; r <= sheet.rowCount; r += 1) {
+      const row = sheet.getRow(r);
+      const name = excelCellText(row.getCell(columns.barrier)).trim();
+      if (!name) continue;
+      const barrier = barrierForName(name, barriers);
+      if (columns.description) barrier.description = excelCellText(row.getCell(columns.description)).trim();
+      BARRIER_ATTRIBUTES.forEach((attr) => {
+        const col = columns[attr.label.toLowerCase()];
+        if (col) readBarrierAttribute(barrier, attr, excelCellText(row.getCell(col)).trim(), `Barriers row ${r}`, problems);
+      });
+    }
+  }
+
+  function readBarrierAttribute(barrier, attr, text, where, problems) {
+    if (!text) return;
+    const value = parseBarrierAttribute(attr, text);
+    if (value === null) problems.push(`${where}: unknown ${attr.label.toLowerCase()} "${text}" for barrier "${barrier.name}"`);
+    else barrier[attr.key] = value;
+  }
+
+  function readStudySheet(sheet) {
+    sheet.eachRow((row) => {
+      const label = excelCellText(row.getCell(1)).trim().toLowerCase();
+      const field = STUDY_META_FIELDS.find(f => f.label.toLowerCase() === label);
+      if (field) state.study[field.key] = excelCellText(row.getCell(2)).trim();
+    });
+    if (!state.study.name) state.study.name = createStudyMeta().name;
+  }
+
+  function excelCellText(cell) {
+    const value = cell.value;
+    if (value == null) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+      if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+      if (value.text != null) return String(value.text);
+      if (value.result != null) return String(value.result);
+      return '';
+    }
+    return String(value);
+  }
+
+  // Risk Matrix UI
+  function renderRiskMatrixConfig() {
+    renderSeverityDescriptionsTable();
+    renderRiskMatrixTable();
+    renderRiskMatrixEditor();
+    renderMatrixPresets();
+    renderRiskHeatMap();
+  }
+
+  // Risk matrix editing
+  // Matrix cells point at entries of riskLevels; after every edit they are
+  // re-linked by id so renamed or recoloured levels show everywhere, cells of
+  // removed levels are dropped and new cells start at the lowest risk level.
+  function relinkRiskMatrix(riskMatrix = state.riskMatrix) {
+    const { likelihood, severity, riskLevels, matrix } = riskMatrix;
+    const linked = {};
+    likelihood.forEach(lik => severity.forEach(sev => {
+      const key = `${lik.id}-${sev.id}`;
+      const level = (matrix[key] && riskLevels.find(r => r.id === matrix[key].id)) || riskLevels[0];
+      if (level) linked[key] = level;
+    }));
+    riskMatrix.matrix = linked;
+  }
+
+  function refreshRiskScores() {
+    state.hazards.forEach(hazard => hazard.consequences.forEach((consequence) => {
+      syncConsequenceRisk(consequence);
+      ['initialRisk', 'residualRisk'].forEach((key) => {
+        const ranking = consequence[key];
+        if (ranking) ranking.riskScore = computeRiskScore(ranking.severityLevel, ranking.likelihoodLevel);
+      });
+    }));
+  }
+
+  // Apply a matrix change as one undoable step and recolour everything that shows risk
+  function editRiskMatrix(label, fn) {
+    mutate(label, () => {
+      fn(state.riskMatrix);
+      relinkRiskMatrix();
+      refreshRiskScores();
+    });
+    renderRiskMatrixConfig();
+  }
+
+  // Every ranking in the study that uses the given severity or likelihood level
+  function findRankingsUsingLevel(field, levelId) {
+    const found = [];
+    state.hazards.forEach(hazard => hazard.consequences.forEach((consequence) => {
+      [...(consequence.categoryRisks || []), consequence.initialRisk, consequence.residualRisk].forEach((ranking) => {
+        if (ranking && ranking[field] === levelId) found.push(ranking);
+      });
+    }));
+    return found;
+  }
+
+  const MATRIX_LISTS = {
+    likelihood: { title: 'Likelihood levels', noun: 'likelihood level', hasDescription: true, number: { key: 'value', label: 'Frequency per year' } },
+    severity: { title: 'Severity levels', noun: 'severity level', hasDescription: true, number: { key: 'value', label: 'Weight' } },
+    riskLevels: { title: 'Risk levels', noun: 'risk level', hasColor: true, number: { key: 'minIndex', label: 'Minimum risk index' } },
+    severityCategories: { title: 'Severity categories', noun: 'severity category' }
+  };
+
+  function createMatrixListItem(listKey, list) {
+    const unique = (base) => {
+      let label = base;
+      for (let n = 2; list.some(item => item.label === label); n += 1) label = `${base} ${n}`;
+      return label;
+    };
+    if (listKey === 'likelihood') return { id: generateId(), label: unique(String.fromCharCode(65 + list.length)), description: '' };
+    if (listKey === 'severity') return { id: generateId(), label: unique(String(list.length + 1)), description: '' };
+    if (listKey === 'riskLevels') return { id: generateId(), label: unique('New level'), color: '#6e7781' };
+    return { id: generateId(), label: unique('New category') };
+  }
+
+  // Returns an error message, or '' when the label can be used
+  function validateMatrixLabel(list, item, label) {
+    if (!label.trim()) return 'Labels cannot be empty.';
+    if (list.some(other => other !== item && other.label.trim().toLowerCase() === label.trim().toLowerCase())) {
+      return `"${label.trim()}" is already used.`;
+    }
+    return '';
+  }
+
+  function removeMatrixListItem(listKey, index) {
+    const { noun } = MATRIX_LISTS[listKey];
+    const list = state.riskMatrix[listKey];
+    const item = list[index];
+    if (listKey !== 'severityCategories' && list.length <= 1) {
+      alert(`The matrix needs at least one ${noun}.`);
+      return;
+    }
+
+    let usedBy = [];
+    if (listKey === 'likelihood' || listKey === 'severity') {
+      usedBy = findRankingsUsingLevel(listKey === 'likelihood' ? 'likelihoodLevel' : 'severityLevel', item.id);
+    }
+    const message = usedBy.length > 0
+      ? `Remove ${noun} "${item.label}"? ${usedBy.length} ranking(s) use it and will be cleared.`
+      : `Remove ${noun} "${item.label}"?`;
+    if (!confirm(message)) return;
+
+    editRiskMatrix(`Remove ${noun}`, (matrix) => {
+      matrix[listKey].splice(index, 1);
+      if (listKey === 'riskLevels') {
+        // Cells of the removed level take the next lower level, or the new lowest one
+        const fallback = matrix.riskLevels[Math.max(index - 1, 0)];
+        Object.keys(matrix.matrix).forEach((key) => {
+          if (matrix.matrix[key].id === item.id) matrix.matrix[key] = fallback;
+        });
+      } else if (listKey === 'severity') {
+        delete matrix.severityDescriptions[item.id];
+        usedBy.forEach((ranking) => { ranking.severityLevel = ''; });
+      } else if (listKey === 'likelihood') {
+        usedBy.forEach((ranking) => { ranking.likelihoodLevel = ''; });
+      } else {
+        Object.values(matrix.severityDescriptions).forEach((descriptions) => { delete descriptions[item.id]; });
+      }
+    });
+  }
+
+  function renderMatrixList(listKey) {
+    const { title, noun, hasDescription, hasColor, number } = MATRIX_LISTS[listKey];
+    const list = state.riskMatrix[listKey] || (state.riskMatrix[listKey] = []);
+    const section = createEl('div', { class: 'config-section' }, [createEl('h3', { text: title })]);
+
+    list.forEach((item, index) => {
+      const row = createEl('div', { class: hasColor ? 'risk-level-item' : 'scale-item' });
+      const labelInput = createEl('input', {
+        type: 'text',
+        value: item.label,
+        placeholder: 'Label',
+        onchange: (e) => {
+          const error = validateMatrixLabel(list, item, e.target.value);
+          if (error) {
+            alert(error);
+            e.target.value = item.label;
+            return;
+          }
+          editRiskMatrix(`Rename ${noun}`, () => { item.label = e.target.value.trim(); });
+        }
+      });
+      row.append(labelInput);
+
+      if (hasDescription) {
+        row.append(createEl('input', {
+          type: 'text',
+          value: item.description || '',
+          placeholder: 'Description',
+          onchange: (e) => editRiskMatrix(`Edit ${noun} description`, () => { item.description = e.target.value; })
+        }));
+      }
+      if (number) {
+        row.append(createEl('input', {
+          type: 'number',
+          class: 'matrix-number',
+          min: '0',
+          step: 'any',
+          value: Number.isFinite(item[number.key]) ? String(item[number.key]) : '',
+          placeholder: number.label,
+          title: number.label,
+          onchange: (e) => {
+            const text = e.target.value.trim();
+            const value = Number(text);
+            if (text !== '' && (!Number.isFinite(value) || value < 0)) {
+              alert(`${number.label} must be a number of at least 0.`);
+              e.target.value = Number.isFinite(item[number.key]) ? String(item[number.key]) : '';
+              return;
+            }
+            editRiskMatrix(`Edit ${noun} ${number.label.toLowerCase()}`, () => {
+              if (text === '') delete item[number.key];
+              else item[number.key] = value;
+            });
+          }
+        }));
+      }
+      if (hasColor) {
+        row.append(createEl('input', {
+          type: 'color',
+          class: 'color-picker',
+          value: item.color,
+          title: 'Colour',
+          onchange: (e) => editRiskMatrix('Change risk level colour', () => { item.color = e.target.value; })
+        }));
       }
 
-      // Create Recommendations Worksheet
-      try {
-        const recommendationsWorksheet = workbook.addWorksheet('Recommendations');
-        
-        // Recommendations headers
-        const recommendationsHeaders = ['Hazard', 'Action', 'Responsible Party'];
-        recommendationsHeaders.forEach((header, index) => {
-          const cell = recommendationsWorksheet.getCell(1, index + 1);
-          cell.value = header;
-          cell.font = { color: { argb: 'FFFFFFFF' }, bold: true };
-          cell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FF024F75' }
-          };
-          cell.alignment = { horizontal: 'center', vertical: 'middle' };
-        });
+      const moveUp = createButtonWithTooltip({ class: 'icon', onclick: () => editRiskMatrix(`Reorder ${noun}s`, () => { list.splice(index - 1, 0, list.splice(index, 1)[0]); }) }, '↑', '↑');
+      moveUp.disabled = index === 0;
+      const moveDown = createButtonWithTooltip({ class: 'icon', onclick: () => editRiskMatrix(`Reorder ${noun}s`, () => { list.splice(index + 1, 0, list.splice(index, 1)[0]); }) }, '↓', '↓');
+      moveDown.disabled = index === list.length - 1;
+      row.append(createEl('div', { class: 'inline-controls' }, [
+        moveUp,
+        moveDown,
+        createButtonWithTooltip({ class: 'icon danger remove-button', onclick: () => removeMatrixListItem(listKey, index) }, 'Remove', '×')
+      ]));
+      section.append(row);
+    });
 
-        // Add recommendations data with hazard spanning
-        let recommendationsRow = 2;
-        hazards.forEach((hazard) => {
-          if (hazard.recommendations && hazard.recommendations.length > 0) {
-            const hazardStartRow = recommendationsRow;
-            let recommendationCount = 0;
-            
-            hazard.recommendations.forEach((recommendation) => {
-              // Action
-              recommendationsWorksheet.getCell(recommendationsRow, 2).value = recommendation.action || '';
-              
-              // Responsible Party
-              recommendationsWorksheet.getCell(recommendationsRow, 3).value = recommendation.responsible || '';
-              
-              recommendationsRow++;
-              recommendationCount++;
-            });
-            
-            // Add hazard name to first row and merge if multiple recommendations
-            recommendationsWorksheet.getCell(hazardStartRow, 1).value = hazard.title || 'Untitled Hazard';
-            if (recommendationCount > 1) {
-              recommendationsWorksheet.mergeCells(hazardStartRow, 1, hazardStartRow + recommendationCount - 1, 1);
-            }
-          }
-        });
+    section.append(createButtonWithTooltip({
+      class: 'icon primary add-button',
+      onclick: () => editRiskMatrix(`Add ${noun}`, (matrix) => { matrix[listKey].push(createMatrixListItem(listKey, matrix[listKey])); })
+    }, `+ Add ${noun}`, '+'));
+    return section;
+  }
 
-        // Style recommendations worksheet
-        // Set column widths
-        recommendationsWorksheet.getColumn(1).width = 30; // Hazard
-        recommendationsWorksheet.getColumn(2).width = 50; // Action
-        recommendationsWorksheet.getColumn(3).width = 25; // Responsible Party
+  function renderRiskMatrixEditor() {
+    const container = byId('risk-matrix-editor');
+    container.innerHTML = '';
+    Object.keys(MATRIX_LISTS).forEach(listKey => container.append(renderMatrixList(listKey)));
+
+    // Cell click mode: cycle through the levels, or paint one chosen level
+    const paintSelect = byId('risk-matrix-paint');
+    paintSelect.innerHTML = '';
+    paintSelect.append(createEl('option', { value: '', text: 'Next risk level (cycle)' }));
+    state.riskMatrix.riskLevels.forEach((level) => {
+      paintSelect.append(createEl('option', { value: level.id, text: level.label }));
+    });
+    if (!state.riskMatrix.riskLevels.some(r => r.id === state.riskMatrixPaint)) state.riskMatrixPaint = '';
+    paintSelect.value = state.riskMatrixPaint;
+  }
 
-        // Add borders to all cells
-        if (recommendationsRow > 2) {
-          // Apply borders to all data cells
-          for (let row = 1; row < recommendationsRow; row++) {
-            for (let col = 1; col <= 3; col++) {
-              const cell = recommendationsWorksheet.getCell(row, col);
-              if (row === 1) {
-                // Header borders (white)
-                cell.border = {
-                  top: { style: 'thin', color: { argb: 'FFFFFFFF' } },
-                  left: { style: 'thin', color: { argb: 'FFFFFFFF' } },
-                  bottom: { style: 'thin', color: { argb: 'FFFFFFFF' } },
-                  right: { style: 'thin', color: { argb: 'FFFFFFFF' } }
-                };
-              } else {
-                // Data cell borders (blue)
-                cell.border = {
-                  top: { style: 'thin', color: { argb: 'FF024F75' } },
-                  left: { style: 'thin', color: { argb: 'FF024F75' } },
-                  bottom: { style: 'thin', color: { argb: 'FF024F75' } },
-                  right: { style: 'thin', color: { argb: 'FF024F75' } }
-                };
-              }
-            }
-          }
-        }
-      } catch (recommendationsError) {
-        console.error('Recommendations worksheet creation failed:', recommendationsError);
-        // Continue even if recommendations worksheet fails
-      }
+  // Risk matrix presets
+  // Built-in presets are generated from their level lists; company presets are
+  // exported matrix definitions kept in this browser for every study.
+  const letteredLevels = descriptions => descriptions.map((description, index) => {
+    const id = String.fromCharCode(65 + index);
+    return { id, label: id, description };
+  });
 
-      const buffer = await workbook.xlsx.writeBuffer();
-      const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url; a.download = 'hazid.xlsx';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    } catch (err) {
-      console.error('Excel export failed', err);
-      alert('Excel export failed: ' + err.message + '. Please check the console for details.');
+  const numberedLevels = descriptions => descriptions.map((description, index) => {
+    const id = String(index + 1);
+    return { id, label: id, description };
+  });
+
+  const withValues = (levels, values) => levels.map((level, index) => ({ ...level, value: values[index] }));
+
+  const BUILT_IN_MATRIX_PRESETS = {
+    '4x4': {
+      label: '4x4 (Low / Medium / High)',
+      build: () => ({
+        ...createDefaultRiskMatrix(),
+        likelihood: letteredLevels(['Unlikely', 'Possible', 'Likely', 'Almost certain']),
+        severity: numberedLevels(['Minor', 'Moderate', 'Major', 'Catastrophic']),
+        severityDescriptions: {}
+      })
+    },
+    '5x5': { label: '5x5 (default)', build: createDefaultRiskMatrix },
+    '6x6': {
+      label: '6x6 (Low / Medium / High / Very high)',
+      bands: [0.3, 0.55, 0.8],
+      build: () => ({
+        ...createDefaultRiskMatrix(),
+        likelihood: letteredLevels(['Remote', 'Very unlikely', 'Unlikely', 'Possible', 'Likely', 'Frequent']),
+        severity: numberedLevels(['Negligible', 'Minor', 'Moderate', 'Major', 'Severe', 'Catastrophic']),
+        severityDescriptions: {},
+        riskLevels: [
+          { id: 'low', label: 'Low', color: '#28a745' },
+          { id: 'medium', label: 'Medium', color: '#ffc107' },
+          { id: 'high', label: 'High', color: '#dc3545' },
+          { id: 'very-high', label: 'Very high', color: '#7b1fa2' }
+        ]
+      })
+    },
+    'iso-5x5': {
+      label: 'NORSOK / ISO 17776 style 5x5',
+      build: () => ({
+        // Frequencies per year and severity weights a decade apart; bands on their product
+        likelihood: withValues(letteredLevels([
+          'Never heard of in the industry',
+          'Heard of in the industry',
+          'Has happened in the organisation',
+          'Happens more than once per year in the organisation',
+          'Happens several times per year at the location'
+        ]), [1e-5, 1e-4, 1e-3, 1e-2, 1e-1]),
+        severity: withValues(numberedLevels(['Slight', 'Minor', 'Moderate', 'Major', 'Massive']), [1, 10, 100, 1000, 10000]),
+        severityCategories: [
+          { id: 'people', label: 'People' },
+          { id: 'assets', label: 'Assets' },
+          { id: 'environment', label: 'Environment' },
+          { id: 'reputation', label: 'Reputation' }
+        ],
+        severityDescriptions: {
+          '1': { people: 'Slight injury or health effect', assets: 'Slight damage', environment: 'Slight effect', reputation: 'Slight impact' },
+          '2': { people: 'Minor injury or health effect', assets: 'Minor damage', environment: 'Minor effect', reputation: 'Limited impact' },
+          '3': { people: 'Major injury or health effect', assets: 'Local damage', environment: 'Localised effect', reputation: 'Considerable impact' },
+          '4': { people: 'Single fatality or permanent disability', assets: 'Major damage', environment: 'Major effect', reputation: 'National impact' },
+          '5': { people: 'Multiple fatalities', assets: 'Extensive damage', environment: 'Massive effect', reputation: 'International impact' }
+        },
+        riskLevels: [
+          { id: 'low', label: 'Low', color: '#28a745', minIndex: 0 },
+          { id: 'alarp', label: 'Medium (ALARP)', color: '#ffc107', minIndex: 0.1 },
+          { id: 'intolerable', label: 'High (intolerable)', color: '#dc3545', minIndex: 10 }
+        ],
+        matrix: {}
+      })
     }
+  };
+
+  function createPresetMatrix(presetId) {
+    const preset = BUILT_IN_MATRIX_PRESETS[presetId];
+    const riskMatrix = preset.build();
+    updateRiskMatrix(riskMatrix, preset.bands);
+    return riskMatrix;
   }
 
-  function allBorders(hex) {
-    const argb = cssHexToARGB(hex);
-    return {
-      top: { style: 'thin', color: { argb } },
-      left: { style: 'thin', color: { argb } },
-      bottom: { style: 'thin', color: { argb } },
-      right: { style: 'thin', color: { argb } }
-    };
+  function loadCompanyPresets() {
+    const presets = persist.read(MATRIX_PRESETS_KEY);
+    return Array.isArray(presets) ? presets : [];
   }
 
-  function headerBorders() {
-    const whiteArgb = 'FFFFFFFF';
-    const blueArgb = cssHexToARGB('#024F75');
-    return {
-      top: { style: 'thin', color: { argb: blueArgb } },
-      left: { style: 'thin', color: { argb: whiteArgb } },
-      bottom: { style: 'thin', color: { argb: blueArgb } },
-      right: { style: 'thin', color: { argb: whiteArgb } }
-    };
+  function renderMatrixPresets() {
+    const select = byId('risk-matrix-preset');
+    const selected = select.value;
+    select.innerHTML = '';
+    const builtIn = createEl('optgroup', { label: 'Built-in' });
+    Object.entries(BUILT_IN_MATRIX_PRESETS).forEach(([id, preset]) => {
+      builtIn.append(createEl('option', { value: `builtin:${id}`, text: preset.label }));
+    });
+    select.append(builtIn);
+
+    const companyPresets = loadCompanyPresets();
+    if (companyPresets.length > 0) {
+      const company = createEl('optgroup', { label: 'Company' });
+      companyPresets.forEach((preset) => {
+        company.append(createEl('option', { value: `company:${preset.id}`, text: preset.name }));
+      });
+      select.append(company);
+    }
+    if ([...select.options].some(option => option.value === selected)) select.value = selected;
+    byId('delete-matrix-preset').disabled = !select.value.startsWith('company:');
   }
 
-  function cssHexToARGB(hex) {
-    const clean = hex.replace('#','');
-    if (clean.length === 6) return 'FF' + clean.toUpperCase();
-    if (clean.length === 3) return 'FF' + clean.split('').map(x => x + x).join('').toUpperCase();
-    return 'FF000000';
+  function applyMatrixPreset() {
+    const value = byId('risk-matrix-preset').value;
+    try {
+      if (value.startsWith('builtin:')) {
+        const presetId = value.slice('builtin:'.length);
+        applyRiskMatrix(createPresetMatrix(presetId), 'Apply risk matrix preset',
+          `Risk matrix preset "${BUILT_IN_MATRIX_PRESETS[presetId].label}" applied.`);
+        return;
+      }
+      const preset = loadCompanyPresets().find(p => `company:${p.id}` === value);
+      if (!preset) return;
+      applyRiskMatrix(riskMatrixFromJSON(preset.matrix), 'Apply risk matrix preset', `Risk matrix preset "${preset.name}" applied.`);
+    } catch (e) {
+      alert('Failed to apply risk matrix preset: ' + e.message);
+    }
   }
 
-  // Merge helper for Excel export
-  function mergeAndSet(sheet, startRow, col, rowSpan, value) {
-    const endRow = startRow + Math.max(rowSpan, 1) - 1;
-    if (endRow > startRow) {
-      sheet.mergeCells(startRow, col, endRow, col);
+  function saveCompanyPreset() {
+    const name = prompt('Save the current risk matrix as a company preset named:', '');
+    if (!name || !name.trim()) return;
+    const presets = loadCompanyPresets();
+    const existing = presets.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+    if (existing && !confirm(`Replace the company preset "${existing.name}"?`)) return;
+    const preset = { id: existing ? existing.id : generateId(), name: name.trim(), matrix: riskMatrixToJSON(state.riskMatrix) };
+    persist.write(MATRIX_PRESETS_KEY, existing ? presets.map(p => (p === existing ? preset : p)) : [...presets, preset]);
+    renderMatrixPresets();
+    byId('risk-matrix-preset').value = `company:${preset.id}`;
+    byId('delete-matrix-preset').disabled = false;
+  }
+
+  function deleteCompanyPreset() {
+    const value = byId('risk-matrix-preset').value;
+    const presets = loadCompanyPresets();
+    const preset = presets.find(p => `company:${p.id}` === value);
+    if (!preset || !confirm(`Delete the company preset "${preset.name}"?`)) return;
+    persist.write(MATRIX_PRESETS_KEY, presets.filter(p => p !== preset));
+    renderMatrixPresets();
+  }
+
+  // Risk matrix remapping
+  // Rankings refer to levels and categories by id. When a new matrix lacks an
+  // id the study uses, the remap dialog lists the affected consequences and
+  // maps every used level to a level of the new matrix before it is applied.
+  const REMAP_FIELDS = [
+    { field: 'severityLevel', listKey: 'severity', title: 'Severity levels', unmapped: 'Clear ranking' },
+    { field: 'likelihoodLevel', listKey: 'likelihood', title: 'Likelihood levels', unmapped: 'Clear ranking' },
+    { field: 'severityCategory', listKey: 'severityCategories', title: 'Severity categories', unmapped: 'Keep (flagged)' }
+  ];
+
+  // Every ranking in the study with its hazard, consequence and stage label
+  function listRankings() {
+    const found = [];
+    state.hazards.forEach(hazard => hazard.consequences.forEach((consequence) => {
+      RISK_STAGES.forEach(({ key, label }) => {
+        const rankings = key === 'risk' ? consequence.categoryRisks || [] : [consequence[key]];
+        rankings.forEach((ranking) => {
+          if (ranking) found.push({ hazard, consequence, ranking, stage: label });
+        });
+      });
+    }));
+    return found;
+  }
+
+  // Default target for a used id: the same id, the same label, or the same
+  // relative position on the new scale (categories are only matched by label)
+  function suggestRemapTarget(listKey, newMatrix, id) {
+    const oldList = state.riskMatrix[listKey] || [];
+    const newList = newMatrix[listKey] || [];
+    if (newList.some(item => item.id === id)) return id;
+    const oldIndex = oldList.findIndex(item => item.id === id);
+    const label = (oldIndex >= 0 ? oldList[oldIndex].label : id).toLowerCase();
+    const sameLabel = newList.find(item => item.label.toLowerCase() === label);
+    if (sameLabel) return sameLabel.id;
+    if (listKey === 'severityCategories' || oldIndex < 0 || newList.length === 0) return '';
+    const position = oldList.length > 1 ? oldIndex / (oldList.length - 1) : 0;
+    return newList[Math.round(position * (newList.length - 1))].id;
+  }
+
+  function remapRanking(ranking, mapping) {
+    const remapped = { ...ranking };
+    REMAP_FIELDS.forEach(({ field }) => {
+      const id = ranking[field];
+      if (!id || !mapping[field] || !Object.prototype.hasOwnProperty.call(mapping[field], id)) return;
+      const target = mapping[field][id];
+      if (field === 'severityCategory' && !target) return;
+      remapped[field] = target;
+    });
+    return remapped;
+  }
+
+  // Rankings mapped onto the same category keep the worst one
+  function mergeCategoryRisks(categoryRisks) {
+    const merged = [];
+    categoryRisks.forEach((ranking) => {
+      const index = ranking.severityCategory ? merged.findIndex(r => r.severityCategory === ranking.severityCategory) : -1;
+      if (index < 0) merged.push(ranking);
+      else if (getRiskRank(ranking.severityLevel, ranking.likelihoodLevel) >
+        getRiskRank(merged[index].severityLevel, merged[index].likelihoodLevel)) merged[index] = ranking;
+    });
+    return merged;
+  }
+
+  function replaceRiskMatrix(newMatrix, mapping, label) {
+    mutate(label, () => {
+      state.riskMatrix = newMatrix;
+      state.hazards.forEach(hazard => hazard.consequences.forEach((consequence) => {
+        consequence.categoryRisks = mergeCategoryRisks((consequence.categoryRisks || []).map(r => remapRanking(r, mapping)));
+        ['initialRisk', 'residualRisk'].forEach((key) => {
+          if (consequence[key]) consequence[key] = remapRanking(consequence[key], mapping);
+        });
+      }));
+      relinkRiskMatrix();
+      refreshRiskScores();
+    });
+    renderRiskMatrixConfig();
+  }
+
+  // Label of a level or category in the given matrix, falling back to the current one
+  function describeMatrixItem(riskMatrix, listKey, id) {
+    const item = (riskMatrix[listKey] || []).find(i => i.id === id)
+      || (state.riskMatrix[listKey] || []).find(i => i.id === id);
+    return item ? item.label : id;
+  }
+
+  function describeRemapRanking(ranking, riskMatrix) {
+    const category = ranking.severityCategory ? `${describeMatrixItem(riskMatrix, 'severityCategories', ranking.severityCategory)} ` : '';
+    const severity = ranking.severityLevel ? describeMatrixItem(riskMatrix, 'severity', ranking.severityLevel) : '–';
+    const likelihood = ranking.likelihoodLevel ? describeMatrixItem(riskMatrix, 'likelihood', ranking.likelihoodLevel) : '–';
+    const riskLevel = riskMatrix.matrix[`${ranking.likelihoodLevel}-${ranking.severityLevel}`];
+    return `${category}${severity}/${likelihood}${riskLevel ? ` ${riskLevel.label}` : ''}`;
+  }
+
+  // Changed rankings per consequence when the new matrix is applied with the given mapping
+  function findRemapChanges(rankings, newMatrix, mapping) {
+    const byConsequence = new Map();
+    rankings.forEach(({ hazard, consequence, ranking, stage }) => {
+      const remapped = remapRanking(ranking, mapping);
+      const before = describeRemapRanking(ranking, state.riskMatrix);
+      const after = describeRemapRanking(remapped, newMatrix);
+      const flagged = remapped.severityCategory && !newMatrix.severityCategories.some(c => c.id === remapped.severityCategory);
+      if (before === after && !flagged) return;
+      if (!byConsequence.has(consequence)) byConsequence.set(consequence, { hazard, changes: [] });
+      const cleared = !remapped.severityLevel && !remapped.likelihoodLevel && (ranking.severityLevel || ranking.likelihoodLevel);
+      byConsequence.get(consequence).changes.push(
+        `${stage}: ${before} → ${cleared ? 'cleared' : after}${flagged ? ' (category not in matrix)' : ''}`);
+    });
+    return byConsequence;
+  }
+
+  // Replace the risk matrix; when rankings would change, the remap dialog
+  // shows them and asks for a level mapping first
+  function applyRiskMatrix(newMatrix, label, doneMessage) {
+    const used = {};
+    const mapping = {};
+    const rankings = listRankings();
+    REMAP_FIELDS.forEach(({ field, listKey }) => {
+      used[field] = [...new Set(rankings.map(({ ranking }) => ranking[field]).filter(Boolean))];
+      mapping[field] = {};
+      used[field].forEach((id) => { mapping[field][id] = suggestRemapTarget(listKey, newMatrix, id); });
+    });
+    if (findRemapChanges(rankings, newMatrix, mapping).size === 0) {
+      replaceRiskMatrix(newMatrix, mapping, label);
+      alert(doneMessage + describeRemovedCategories());
+      return;
     }
-    const cell = sheet.getCell(startRow, col);
-    cell.value = value == null ? '' : String(value);
-    cell.alignment = { vertical: 'top', horizontal: 'left', wrapText: true };
+    openMatrixRemap(newMatrix, used, mapping, rankings, label, doneMessage);
   }
 
-  // Risk Matrix UI
-  function renderRiskMatrixConfig() {
-    renderSeverityDescriptionsTable();
-    renderRiskMatrixTable();
+  function openMatrixRemap(newMatrix, used, mapping, rankings, label, doneMessage) {
+    const modal = byId('matrix-remap-modal');
+    const levelsContainer = byId('matrix-remap-levels');
+    const affectedContainer = byId('matrix-remap-affected');
+    levelsContainer.innerHTML = '';
+
+    const renderAffected = () => {
+      affectedContainer.innerHTML = '';
+      const byConsequence = findRemapChanges(rankings, newMatrix, mapping);
+      if (byConsequence.size === 0) {
+        affectedContainer.append(createEl('p', { text: 'No consequences are affected.' }));
+        return;
+      }
+      const list = createEl('ul', { class: 'matrix-remap-affected-list' });
+      byConsequence.forEach(({ hazard, changes }, consequence) => {
+        list.append(createEl('li', {}, [
+          createEl('strong', { text: `${hazard.title || 'Untitled Hazard'} — ${consequence.text || 'Untitled Consequence'}` }),
+          createEl('span', { text: ` ${changes.join('; ')}` })
+        ]));
+      });
+      affectedContainer.append(createEl('p', { text: `${byConsequence.size} consequence(s) affected:` }), list);
+    };
+
+    REMAP_FIELDS.forEach(({ field, listKey, title, unmapped }) => {
+      if (used[field].length === 0) return;
+      const table = createEl('table', { class: 'matrix-remap-table' });
+      table.append(createEl('tr', {}, [
+        createEl('th', { text: 'Current level' }),
+        createEl('th', { text: 'Rankings' }),
+        createEl('th', { text: 'New level' })
+      ]));
+      used[field].forEach((id) => {
+        const select = createEl('select', {
+          onchange: (e) => { mapping[field][id] = e.target.value; renderAffected(); }
+        }, [
+          createEl('option', { value: '', text: unmapped }),
+          ...newMatrix[listKey].map(item => createEl('option', { value: item.id, text: item.label }))
+        ]);
+        select.value = mapping[field][id];
+        const known = (state.riskMatrix[listKey] || []).some(item => item.id === id);
+        table.append(createEl('tr', {}, [
+          createEl('td', { text: known ? describeMatrixItem(state.riskMatrix, listKey, id) : `${id} (not in matrix)` }),
+          createEl('td', { text: String(rankings.filter(({ ranking }) => ranking[field] === id).length) }),
+          createEl('td', {}, [select])
+        ]));
+      });
+      levelsContainer.append(createEl('h3', { text: title }), table);
+    });
+    renderAffected();
+
+    const close = () => { modal.style.display = 'none'; };
+    modal.querySelector('.close').onclick = close;
+    byId('cancel-matrix-remap').onclick = close;
+    byId('apply-matrix-remap').onclick = () => {
+      close();
+      replaceRiskMatrix(newMatrix, mapping, label);
+      alert(doneMessage + describeRemovedCategories());
+    };
+    modal.style.display = 'block';
   }
 
+
   function renderRiskMatrixTable() {
     const container = byId('risk-matrix-table');
     container.innerHTML = '';
@@ -1333,10 +5605,20 @@
       state.riskMatrix.likelihood.forEach(lik => {
         const key = `${lik.id}-${sev.id}`;
         const riskLevel = state.riskMatrix.matrix[key];
+        // Click cycles up (right-click down) through the risk levels unless a level is picked to paint
+        const cycle = (step) => editRiskMatrix('Change matrix cell', (matrix) => {
+          const levels = matrix.riskLevels;
+          const picked = levels.find(r => r.id === state.riskMatrixPaint);
+          const index = levels.findIndex(r => r.id === riskLevel?.id);
+          matrix.matrix[key] = picked || levels[(index + step + levels.length) % levels.length];
+        });
         const cell = createEl('td', { 
           class: 'risk-cell',
           style: `background: ${riskLevel ? riskLevel.color : '#ccc'};`,
-          text: riskLevel ? riskLevel.label : '?'
+          text: riskLevel ? riskLevel.label : '?',
+          title: `${lik.label} / ${sev.label}${computeRiskIndex(sev.id, lik.id) !== null ? ` (risk index ${formatRiskIndex(computeRiskIndex(sev.id, lik.id))})` : ''}`,
+          onclick: () => cycle(1),
+          oncontextmenu: (e) => { e.preventDefault(); cycle(-1); }
         });
         row.append(cell);
       });
@@ -1354,9 +5636,133 @@
     });
   }
 
+  // Risk heat map
+  // Places each ranked consequence in its likelihood × severity cell, using the
+  // current risk for one severity category or the overall (worst) ranking.
+  function getHeatMapRanking(consequence, categoryId) {
+    const ranking = categoryId
+      ? (consequence.categoryRisks || []).find(r => r.severityCategory === categoryId)
+      : consequence.risk;
+    return ranking && ranking.severityLevel && ranking.likelihoodLevel ? ranking : null;
+  }
+
+  // Consequences per cell key ("likelihood-severity") for the given category
+  function countHeatMap(categoryId) {
+    const cells = {};
+    state.hazards.forEach(hazard => hazard.consequences.forEach((consequence) => {
+      const ranking = getHeatMapRanking(consequence, categoryId);
+      if (!ranking) return;
+      const key = `${ranking.likelihoodLevel}-${ranking.severityLevel}`;
+      (cells[key] = cells[key] || []).push({ hazard, consequence });
+    }));
+    return cells;
+  }
+
+  function matchesRiskFilter(consequence) {
+    const filter = state.riskFilter;
+    const ranking = getHeatMapRanking(consequence, filter.severityCategory);
+    return !!ranking && ranking.likelihoodLevel === filter.likelihoodLevel && ranking.severityLevel === filter.severityLevel;
+  }
+
+  function describeRiskFilter(filter) {
+    const likelihood = state.riskMatrix.likelihood.find(l => l.id === filter.likelihoodLevel);
+    const severity = state.riskMatrix.severity.find(s => s.id === filter.severityLevel);
+    const category = filter.severityCategory ? getSeverityCategoryLabel(filter.severityCategory) : 'overall risk';
+    return `likelihood ${likelihood ? likelihood.label : filter.likelihoodLevel}, severity ${severity ? severity.label : filter.severityLevel} (${category})`;
+  }
+
+  function renderRiskFilterBanner() {
+    const count = state.hazards.reduce((sum, hazard) => sum + hazard.consequences.filter(matchesRiskFilter).length, 0);
+    return createEl('div', { class: 'risk-filter-banner' }, [
+      createEl('span', { text: `Showing ${count} consequence(s) at ${describeRiskFilter(state.riskFilter)}` }),
+      createEl('button', {
+        class: 'icon',
+        text: 'Clear filter',
+        onclick: () => { state.riskFilter = null; scheduleRerender(); }
+      })
+    ]);
+  }
+
+  function renderRiskHeatMap() {
+    const select = byId('heat-map-category');
+    const categories = getSeverityCategories();
+    if (state.heatMapCategory && !categories.some(c => c.id === state.heatMapCategory)) state.heatMapCategory = '';
+    select.innerHTML = '';
+    select.append(createEl('option', { value: '', text: 'Overall (worst category)' }));
+    categories.forEach(category => select.append(createEl('option', { value: category.id, text: category.label })));
+    select.value = state.heatMapCategory;
+
+    const svg = byId('risk-heat-map-svg');
+    svg.innerHTML = '';
+    const { likelihood, severity } = state.riskMatrix;
+    const cells = countHeatMap(state.heatMapCategory);
+    const total = Object.values(cells).reduce((sum, entries) => sum + entries.length, 0);
+    const cellWidth = 90;
+    const cellHeight = 60;
+    const left = 120;
+    const top = 70;
+    const width = left + likelihood.length * cellWidth + 20;
+    const height = top + severity.length * cellHeight + 50;
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', String(width));
+    svg.setAttribute('height', String(height));
+
+    const svgEl = (tag, attrs = {}, text = '') => {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+      Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+      if (text) el.textContent = text;
+      return el;
+    };
+    const categoryLabel = state.heatMapCategory ? getSeverityCategoryLabel(state.heatMapCategory) : 'Overall';
+    svg.append(
+      svgEl('rect', { x: 0, y: 0, width, height, fill: 'white' }),
+      svgEl('text', { x: 10, y: 24, 'font-size': 16, 'font-weight': 'bold', 'font-family': 'Arial, sans-serif' },
+        `Risk heat map: ${categoryLabel} (${total} consequence${total === 1 ? '' : 's'})`),
+      svgEl('text', { x: left + (likelihood.length * cellWidth) / 2, y: 46, 'text-anchor': 'middle', 'font-size': 12, 'font-family': 'Arial, sans-serif' }, 'Likelihood'),
+      svgEl('text', { x: 10, y: top - 8, 'font-size': 12, 'font-family': 'Arial, sans-serif' }, 'Severity')
+    );
+    likelihood.forEach((lik, li) => {
+      svg.append(svgEl('text', {
+        x: left + li * cellWidth + cellWidth / 2, y: top - 8, 'text-anchor': 'middle', 'font-size': 12, 'font-weight': 'bold', 'font-family': 'Arial, sans-serif'
+      }, lik.label));
+    });
+    severity.forEach((sev, si) => {
+      const y = top + si * cellHeight;
+      svg.append(svgEl('text', {
+        x: left - 10, y: y + cellHeight / 2 + 4, 'text-anchor': 'end', 'font-size': 12, 'font-weight': 'bold', 'font-family': 'Arial, sans-serif'
+      }, sev.label));
+      likelihood.forEach((lik, li) => {
+        const key = `${lik.id}-${sev.id}`;
+        const riskLevel = state.riskMatrix.matrix[key];
+        const count = (cells[key] || []).length;
+        const x = left + li * cellWidth;
+        const group = svgEl('g', { class: count > 0 ? 'heat-map-cell heat-map-cell-filled' : 'heat-map-cell' });
+        const rect = svgEl('rect', {
+          x, y, width: cellWidth, height: cellHeight,
+          fill: riskLevel ? riskLevel.color : '#cccccc', stroke: 'white', 'stroke-width': 2,
+          opacity: count > 0 ? 1 : 0.35
+        });
+        rect.append(svgEl('title', {}, `${lik.label} / ${sev.label}: ${count} consequence(s)${riskLevel ? ` – ${riskLevel.label}` : ''}`));
+        group.append(rect);
+        if (count > 0) {
+          group.append(svgEl('text', {
+            x: x + cellWidth / 2, y: y + cellHeight / 2 + 7, 'text-anchor': 'middle', 'font-size': 20, 'font-weight': 'bold',
+            fill: 'white', 'font-family': 'Arial, sans-serif', 'pointer-events': 'none'
+          }, String(count)));
+          group.addEventListener('click', () => {
+            state.riskFilter = { likelihoodLevel: lik.id, severityLevel: sev.id, severityCategory: state.heatMapCategory };
+            switchTab('hazards');
+            scheduleRerender();
+          });
+        }
+        svg.append(group);
+      });
+    });
+  }
+
   // Risk matrix import/export functions
-  function loadDefaultRiskMatrix() {
-    state.riskMatrix = {
+  function createDefaultRiskMatrix() {
+    return {
       likelihood: [
         { id: 'A', label: 'A', description: 'Very unlikely' },
         { id: 'B', label: 'B', description: 'Unlikely' },
@@ -1371,6 +5777,13 @@
         { id: '4', label: '4', description: 'Major effect', category: 'personnel' },
         { id: '5', label: '5', description: 'Severest effect', category: 'personnel' }
       ],
+      severityCategories: [
+        { id: 'personnel', label: 'Personnel' },
+        { id: 'asset', label: 'Asset' },
+        { id: 'environmental', label: 'Environmental' },
+        { id: 'reputation', label: 'Reputation' },
+        { id: 'operation', label: 'Operation' }
+      ],
       severityDescriptions: {
         '1': {
           personnel: 'Minor injury, no lost time',
@@ -1415,53 +5828,106 @@
       ],
       matrix: {}
     };
-    updateRiskMatrix();
   }
 
-  function loadRiskMatrixFromJSON(data) {
+  // Warning appended to matrix load messages when rankings use categories the matrix lacks
+  function describeRemovedCategories() {
+    const found = findRemovedCategoryRankings();
+    if (found.length === 0) return '';
+    const lines = found.map(({ hazard, consequence, ranking }) =>
+      `${hazard.title || 'Untitled Hazard'} / ${consequence.text || 'Untitled Consequence'}: "${ranking.severityCategory}"`);
+    return `\n\n${found.length} ranking(s) use a severity category that is not in this matrix and are flagged in the table:\n${formatIssueList(lines)}`;
+  }
+
+  // New matrix from an exported definition; parts the file lacks are kept from the current matrix
+  function riskMatrixFromJSON(data) {
+    const riskMatrix = deepClone(state.riskMatrix);
+
     // Load likelihood levels
     if (data.likelihoodDescriptions && Array.isArray(data.likelihoodDescriptions)) {
-      state.riskMatrix.likelihood = data.likelihoodDescriptions.map(l => ({
+      riskMatrix.likelihood = data.likelihoodDescriptions.map(l => ({
         id: l.id,
         label: l.label,
-        description: l.description
+        description: l.description,
+        ...(l.value !== undefined ? { value: l.value } : {})
+      }));
+    }
+
+    // Load severity levels; older files only list them as keys of severityDescriptions
+    if (data.severityLevelDescriptions && Array.isArray(data.severityLevelDescriptions)) {
+      riskMatrix.severity = data.severityLevelDescriptions.map(s => ({
+        id: s.id,
+        label: s.label,
+        description: s.description,
+        ...(s.value !== undefined ? { value: s.value } : {})
       }));
     }
 
+    // Load severity categories, given as ids or as { id, label }
+    if (Array.isArray(data.severityCategories)) {
+      riskMatrix.severityCategories = data.severityCategories.map((c) => {
+        if (typeof c === 'string') return { id: c, label: c.charAt(0).toUpperCase() + c.slice(1) };
+        return { id: String(c.id), label: String(c.label ?? c.id) };
+      });
+    }
+
     // Load severity descriptions
     if (data.severityDescriptions) {
-      state.riskMatrix.severityDescriptions = data.severityDescriptions;
+      riskMatrix.severityDescriptions = data.severityDescriptions;
     }
 
     // Load risk levels
     if (data.riskLevelDescriptions && Array.isArray(data.riskLevelDescriptions)) {
-      state.riskMatrix.riskLevels = data.riskLevelDescriptions.map(r => ({
+      riskMatrix.riskLevels = data.riskLevelDescriptions.map(r => ({
         id: r.id,
         label: r.label,
-        color: r.color
+        color: r.color,
+        ...(r.minIndex !== undefined ? { minIndex: r.minIndex } : {})
       }));
     }
 
     // Load matrix assignments (convert IDs back to full objects)
     if (data.matrix) {
-      state.riskMatrix.matrix = {};
+      riskMatrix.matrix = {};
       Object.entries(data.matrix).forEach(([key, riskLevelId]) => {
-        const riskLevel = state.riskMatrix.riskLevels.find(r => r.id === riskLevelId);
+        const riskLevel = riskMatrix.riskLevels.find(r => r.id === riskLevelId);
         if (riskLevel) {
-          state.riskMatrix.matrix[key] = riskLevel;
+          riskMatrix.matrix[key] = riskLevel;
         }
       });
     } else {
-      updateRiskMatrix();
+      updateRiskMatrix(riskMatrix);
     }
+    relinkRiskMatrix(riskMatrix);
+
+    const validator = createValidator();
+    validateRiskMatrix(riskMatrix, '', validator);
+    if (validator.errors.length > 0) throw new Error(`Invalid risk matrix:\n${formatIssueList(validator.errors)}`);
+    return riskMatrix;
+  }
+
+  function riskMatrixToJSON(riskMatrix) {
+    return {
+      likelihoodLevels: riskMatrix.likelihood.length,
+      likelihoodDescriptions: riskMatrix.likelihood.map(l => ({ id: l.id, label: l.label, description: l.description, value: l.value })),
+      severityLevels: riskMatrix.severity.length,
+      severityLevelDescriptions: riskMatrix.severity.map(s => ({ id: s.id, label: s.label, description: s.description, value: s.value })),
+      severityCategories: riskMatrix.severityCategories.map(c => ({ id: c.id, label: c.label })),
+      severityDescriptions: riskMatrix.severityDescriptions,
+      riskLevels: riskMatrix.riskLevels.length,
+      riskLevelDescriptions: riskMatrix.riskLevels.map(r => ({ id: r.id, label: r.label, color: r.color, minIndex: r.minIndex })),
+      matrix: Object.fromEntries(
+        Object.entries(riskMatrix.matrix).map(([key, riskLevel]) => [key, riskLevel.id])
+      )
+    };
   }
 
   function renderSeverityDescriptionsTable() {
     const container = byId('severity-descriptions-table');
     container.innerHTML = '';
     
-    const categories = ['personnel', 'asset', 'environmental', 'reputation', 'operation'];
-    const severityLevels = state.riskMatrix.severity.map(s => s.id);
+    const categories = getSeverityCategories();
+    const severityLevels = state.riskMatrix.severity;
     
     // Create table
     const table = createEl('table', { class: 'severity-descriptions-table' });
@@ -1474,26 +5940,27 @@
     headerRow.append(emptyHeader);
     
     categories.forEach(cat => {
-      const th = createEl('th', { text: cat.charAt(0).toUpperCase() + cat.slice(1) });
+      const th = createEl('th', { text: cat.label });
       headerRow.append(th);
     });
     thead.append(headerRow);
     
     // Data rows: severity level + description inputs
-    severityLevels.forEach(severityId => {
+    severityLevels.forEach(({ id: severityId, label: severityLabel }) => {
       const row = createEl('tr');
       
       // Severity level in first column
-      const sevCell = createEl('th', { text: severityId });
+      const sevCell = createEl('th', { text: severityLabel });
       row.append(sevCell);
       
       // Description inputs for each category
-      categories.forEach(category => {
+      categories.forEach(({ id: category, label }) => {
         const cell = createEl('td');
         const input = createEl('textarea', {
           class: 'severity-description-input',
-          placeholder: `Enter description for severity ${severityId} - ${category}`,
+          placeholder: `Enter description for severity ${severityLabel} - ${label}`,
           oninput: (e) => {
+            recordEdit(`severity-description:${severityId}:${category}`);
             if (!state.riskMatrix.severityDescriptions[severityId]) {
               state.riskMatrix.severityDescriptions[severityId] = {};
             }
@@ -1533,6 +6000,14 @@
     const modal = document.getElementById('bowtie-modal');
     const title = document.getElementById('bowtie-title');
     const svg = document.getElementById('bowtie-svg');
+    if (state.bowtieHazardIndex !== hazardIndex) state.bowtieTopEventId = '';
+    state.bowtieHazardIndex = hazardIndex;
+
+    // One bow-tie per top event; the picker only shows when there is a choice
+    const topEventSelect = byId('bowtie-top-event');
+    topEventSelect.replaceChildren(...hazard.topEvents.map((t, ti) => createEl('option', { value: t.id, text: t.text || `Top event ${ti + 1}` })));
+    topEventSelect.value = (hazard.topEvents.find(t => t.id === state.bowtieTopEventId) || hazard.topEvents[0]).id;
+    topEventSelect.closest('label').hidden = hazard.topEvents.length < 2;
 
     title.textContent = `Bow-tie Diagram: ${hazard.title || 'Untitled Hazard'}`;
 
@@ -1550,6 +6025,9 @@
       cause: { fill: '#74b9ff', stroke: '#0984e3' },
       consequence: { fill: '#fd79a8', stroke: '#e84393' },
       measure: { fill: '#55a3ff', stroke: '#2d3436' },
+      escalationFactor: { fill: '#ffeaa7', stroke: '#e17055' },
+      escalationControl: { fill: '#dfe6e9', stroke: '#2d3436' },
+      topEvent: { fill: '#fdcb6e', stroke: '#e17055' },
       line: '#636e72',
       measureLine: '#55a3ff'
     };
@@ -1557,32 +6035,212 @@
     // Center coordinates
     const centerX = width / 2;
     const centerY = height / 2;
+
+    // Measures are coloured by a barrier attribute when one is chosen, with a legend
+    const coloring = BARRIER_ATTRIBUTES.find(a => a.values && a.key === state.bowtieMeasureColoring);
+    const measureFill = (measure) => {
+      if (!coloring) return bowtieColors.measure.fill;
+      const barrier = getBarrier(measure.barrierId);
+      return coloring.values.find(v => barrier && v.id === barrier[coloring.key])?.color || BARRIER_NOT_SET_COLOR;
+    };
+    const describeMeasure = (measure, fallback) => {
+      const barrier = getBarrier(measure.barrierId);
+      const summary = barrier ? summarizeBarrier(barrier) : '';
+      return (getMeasureText(measure) || fallback) + (summary ? ` — ${summary}` : '');
+    };
+    if (coloring) {
+      const legend = [...coloring.values, { label: 'Not set', color: BARRIER_NOT_SET_COLOR }];
+      const legendTitle = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      legendTitle.setAttribute('x', 20);
+      legendTitle.setAttribute('y', height - 20 - legend.length * 18);
+      legendTitle.setAttribute('font-size', '12');
+      legendTitle.setAttribute('font-weight', 'bold');
+      legendTitle.setAttribute('fill', '#2d3436');
+      legendTitle.textContent = `Barrier ${coloring.label.toLowerCase()}`;
+      svg.appendChild(legendTitle);
+      legend.forEach(({ label, color }, i) => {
+        const y = height - 14 - (legend.length - i) * 18;
+        const swatch = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        swatch.setAttribute('cx', 26);
+        swatch.setAttribute('cy', y + 6);
+        swatch.setAttribute('r', 6);
+        swatch.setAttribute('fill', color);
+        swatch.setAttribute('stroke', bowtieColors.measure.stroke);
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', 38);
+        text.setAttribute('y', y + 6);
+        text.setAttribute('font-size', '11');
+        text.setAttribute('dominant-baseline', 'middle');
+        text.setAttribute('fill', '#2d3436');
+        text.textContent = label;
+        svg.append(swatch, text);
+      });
+    }
+
+    // Escalation factors hang below their measure, with their controls drawn on the branch
+    const escalationColors = {
+      factor: bowtieColors.escalationFactor || { fill: '#ffeaa7', stroke: '#e17055' },
+      control: bowtieColors.escalationControl || { fill: '#dfe6e9', stroke: '#2d3436' }
+    };
+    let diagramBottom = height;
+    const shorten = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+    const drawEscalationFactors = (measure, x, y) => {
+      const factors = measure.escalationFactors || [];
+      factors.forEach((factor, fIndex) => {
+        const factorX = x + (fIndex - (factors.length - 1) / 2) * 100;
+        const factorY = y + 60 + factor.controls.length * 26;
+        const branch = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        branch.setAttribute('x1', x);
+        branch.setAttribute('y1', y + 25);
+        branch.setAttribute('x2', factorX);
+        branch.setAttribute('y2', factorY - 11);
+        branch.setAttribute('stroke', escalationColors.factor.stroke);
+        branch.setAttribute('stroke-width', '1.5');
+        branch.setAttribute('stroke-dasharray', '4 3');
+        svg.appendChild(branch);
+
+        factor.controls.forEach((control, cIndex) => {
+          const t = (cIndex + 1) / (factor.controls.length + 1);
+          const controlX = x + (factorX - x) * t;
+          const controlY = y + 25 + (factorY - 11 - y - 25) * t;
+          const controlRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+          controlRect.setAttribute('class', 'bowtie-escalation-control');
+          controlRect.setAttribute('x', controlX - 34);
+          controlRect.setAttribute('y', controlY - 8);
+          controlRect.setAttribute('width', 68);
+          controlRect.setAttribute('height', 16);
+          controlRect.setAttribute('fill', escalationColors.control.fill);
+          controlRect.setAttribute('stroke', escalationColors.control.stroke);
+          const controlTitle = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+          controlTitle.textContent = `Escalation factor control: ${control.text}`;
+          controlRect.appendChild(controlTitle);
+          const controlText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+          controlText.setAttribute('x', controlX);
+          controlText.setAttribute('y', controlY);
+          controlText.setAttribute('text-anchor', 'middle');
+          controlText.setAttribute('dominant-baseline', 'middle');
+          controlText.setAttribute('font-size', '8');
+          controlText.setAttribute('fill', '#2d3436');
+          controlText.textContent = shorten(control.text || 'Control', 16);
+          svg.append(controlRect, controlText);
+        });
+
+        const factorRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        factorRect.setAttribute('class', 'bowtie-escalation-factor');
+        factorRect.setAttribute('x', factorX - 45);
+        factorRect.setAttribute('y', factorY - 11);
+        factorRect.setAttribute('width', 90);
+        factorRect.setAttribute('height', 22);
+        factorRect.setAttribute('rx', 3);
+        factorRect.setAttribute('fill', escalationColors.factor.fill);
+        factorRect.setAttribute('stroke', escalationColors.factor.stroke);
+        const factorTitle = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        factorTitle.textContent = `Escalation factor: ${factor.text}`;
+        factorRect.appendChild(factorTitle);
+        const factorText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        factorText.setAttribute('x', factorX);
+        factorText.setAttribute('y', factorY);
+        factorText.setAttribute('text-anchor', 'middle');
+        factorText.setAttribute('dominant-baseline', 'middle');
+        factorText.setAttribute('font-size', '9');
+        factorText.setAttribute('fill', '#2d3436');
+        factorText.textContent = shorten(factor.text || 'Escalation factor', 20);
+        svg.append(factorRect, factorText);
+        diagramBottom = Math.max(diagramBottom, factorY + 20);
+      });
+    };
+
+    // Recommendations addressing an item are marked with their numbers above it
+    const recommendationColor = '#f39c12';
+    const drawRecommendationMarker = (recos, x, y) => {
+      if (recos.length === 0) return;
+      const label = recos.map(formatRecommendationNumber).join(', ');
+      const markerWidth = label.length * 6 + 12;
+      const marker = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      marker.setAttribute('class', 'bowtie-reco-marker');
+      const markerRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      markerRect.setAttribute('x', x - markerWidth / 2);
+      markerRect.setAttribute('y', y - 9);
+      markerRect.setAttribute('width', markerWidth);
+      markerRect.setAttribute('height', 18);
+      markerRect.setAttribute('rx', 9);
+      markerRect.setAttribute('fill', recommendationColor);
+      markerRect.setAttribute('stroke', '#b9770e');
+      const markerText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      markerText.setAttribute('x', x);
+      markerText.setAttribute('y', y);
+      markerText.setAttribute('text-anchor', 'middle');
+      markerText.setAttribute('dominant-baseline', 'middle');
+      markerText.setAttribute('font-size', '10');
+      markerText.setAttribute('font-weight', 'bold');
+      markerText.setAttribute('fill', '#2d3436');
+      markerText.textContent = label;
+      const markerTitle = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      markerTitle.textContent = recos.map(r => `${formatRecommendationNumber(r)} ${r.action}`).join('\n');
+      marker.append(markerTitle, markerRect, markerText);
+      svg.appendChild(marker);
+    };
     
-    // Draw hazard in center
+    // Draw the hazard above the knot, joined to it
+    const hazardY = centerY - 130;
+    const hazardLink = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    hazardLink.setAttribute('x1', centerX);
+    hazardLink.setAttribute('y1', hazardY + 25);
+    hazardLink.setAttribute('x2', centerX);
+    hazardLink.setAttribute('y2', centerY - 30);
+    hazardLink.setAttribute('stroke', bowtieColors.line);
+    hazardLink.setAttribute('stroke-width', '2');
+    svg.appendChild(hazardLink);
+
     const hazardRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    hazardRect.setAttribute('x', centerX - 60);
-    hazardRect.setAttribute('y', centerY - 30);
-    hazardRect.setAttribute('width', 120);
-    hazardRect.setAttribute('height', 60);
-    hazardRect.setAttribute('rx', 10);
+    hazardRect.setAttribute('x', centerX - 70);
+    hazardRect.setAttribute('y', hazardY - 25);
+    hazardRect.setAttribute('width', 140);
+    hazardRect.setAttribute('height', 50);
     hazardRect.setAttribute('fill', bowtieColors.hazard.fill);
     hazardRect.setAttribute('stroke', bowtieColors.hazard.stroke);
     hazardRect.setAttribute('stroke-width', '2');
+    hazardRect.setAttribute('class', 'bowtie-hazard');
     svg.appendChild(hazardRect);
-    
+
     const hazardText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
     hazardText.setAttribute('x', centerX);
-    hazardText.setAttribute('y', centerY);
+    hazardText.setAttribute('y', hazardY);
     hazardText.setAttribute('class', 'bowtie-text');
     hazardText.setAttribute('text-anchor', 'middle');
     hazardText.setAttribute('dominant-baseline', 'middle');
-    hazardText.textContent = hazard.title || 'Hazard';
+    hazardText.textContent = shorten(hazard.title || 'Hazard', 22);
     svg.appendChild(hazardText);
+
+    // Draw the top event as the knot
+    const topEvent = hazard.topEvents.find(t => t.id === state.bowtieTopEventId) || hazard.topEvents[0];
+    const topEventColors = bowtieColors.topEvent || { fill: '#fdcb6e', stroke: '#e17055' };
+    const topEventRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    topEventRect.setAttribute('x', centerX - 60);
+    topEventRect.setAttribute('y', centerY - 30);
+    topEventRect.setAttribute('width', 120);
+    topEventRect.setAttribute('height', 60);
+    topEventRect.setAttribute('rx', 30);
+    topEventRect.setAttribute('fill', topEventColors.fill);
+    topEventRect.setAttribute('stroke', topEventColors.stroke);
+    topEventRect.setAttribute('stroke-width', '2');
+    topEventRect.setAttribute('class', 'bowtie-top-event');
+    svg.appendChild(topEventRect);
+
+    const topEventText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    topEventText.setAttribute('x', centerX);
+    topEventText.setAttribute('y', centerY);
+    topEventText.setAttribute('class', 'bowtie-text');
+    topEventText.setAttribute('text-anchor', 'middle');
+    topEventText.setAttribute('dominant-baseline', 'middle');
+    topEventText.textContent = shorten(topEvent.text || 'Top event', 18);
+    svg.appendChild(topEventText);
     
-    // Draw causes on the left - center around hazard
-    const causes = hazard.causes || [];
+    // Draw causes on the left - center around the top event
+    const causes = itemsOfTopEvent(hazard, topEvent, 'causes');
+    const consequences = itemsOfTopEvent(hazard, topEvent, 'consequences');
     const leftX = 150;
-    const maxCauseConsequence = Math.max(causes.length, hazard.consequences.length, 1);
+    const maxCauseConsequence = Math.max(causes.length, consequences.length, 1);
     const totalSpacing = height - 200; // Leave 100px margin top and bottom
     const itemSpacing = totalSpacing / Math.max(maxCauseConsequence - 1, 1);
     
@@ -1616,16 +6274,18 @@
       causeText.textContent = cause.text || `Cause ${i + 1}`;
       svg.appendChild(causeText);
       
-      // Line from cause to hazard
+      // Line from cause to hazard; a threat line with recommendations is highlighted
+      const causeRecos = getRecommendationsFor(hazard, 'cause', cause.id);
       const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
       line.setAttribute('x1', leftX + 50);
       line.setAttribute('y1', causeY);
       line.setAttribute('x2', centerX - 60);
       line.setAttribute('y2', centerY);
-      line.setAttribute('stroke', bowtieColors.line);
-      line.setAttribute('stroke-width', '2');
+      line.setAttribute('stroke', causeRecos.length > 0 ? recommendationColor : bowtieColors.line);
+      line.setAttribute('stroke-width', causeRecos.length > 0 ? '4' : '2');
       line.setAttribute('fill', 'none');
       svg.appendChild(line);
+      drawRecommendationMarker(causeRecos, leftX, causeY - 32);
       
       // Prevention measures on the line
       const measures = cause.preventionMeasures || [];
@@ -1638,7 +6298,7 @@
         measureCircle.setAttribute('cx', measureX);
         measureCircle.setAttribute('cy', measureY);
         measureCircle.setAttribute('r', 25);
-        measureCircle.setAttribute('fill', bowtieColors.measure.fill);
+        measureCircle.setAttribute('fill', measureFill(measure));
         measureCircle.setAttribute('stroke', bowtieColors.measure.stroke);
         measureCircle.setAttribute('stroke-width', '1');
         svg.appendChild(measureCircle);
@@ -1650,19 +6310,21 @@
         measureText.setAttribute('class', 'bowtie-measure-text');
         measureText.setAttribute('text-anchor', 'middle');
         measureText.setAttribute('dominant-baseline', 'middle');
-        measureText.textContent = measure.text || 'Prevention measure';
+        measureText.textContent = getMeasureText(measure) || 'Prevention measure';
         svg.appendChild(measureText);
+        drawRecommendationMarker(getRecommendationsFor(hazard, 'measure', measure.id), measureX, measureY - 36);
+        drawEscalationFactors(measure, measureX, measureY);
         
         // Tooltip for measure
         const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-        title.textContent = measure.text || 'Prevention measure';
+        title.textContent = describeMeasure(measure, 'Prevention measure');
         measureCircle.appendChild(title);
         
         // Add mouse events for better tooltip support
         measureCircle.addEventListener('mouseenter', (e) => {
           const tooltip = document.createElement('div');
           tooltip.className = 'bowtie-tooltip';
-          tooltip.textContent = measure.text || 'Prevention measure';
+          tooltip.textContent = describeMeasure(measure, 'Prevention measure');
           tooltip.style.position = 'absolute';
           tooltip.style.background = '#333';
           tooltip.style.color = 'white';
@@ -1695,7 +6357,6 @@
     });
     
     // Draw consequences on the right - center around hazard
-    const consequences = hazard.consequences || [];
     const rightX = width - 150;
     
     // Calculate starting position to center consequences around hazard
@@ -1752,14 +6413,12 @@
         
         // Format: Severity(Category)-Likelihood (e.g., "2(Asset)-B")
         if (consequence.risk.severityLevel && consequence.risk.likelihoodLevel) {
-          const severityCategory = consequence.risk.severityCategory || 'Unknown';
-          const categoryCapitalized = severityCategory.charAt(0).toUpperCase() + severityCategory.slice(1);
+          const categoryLabel = getSeverityCategoryLabel(consequence.risk.severityCategory) || 'Unknown';
           const likelihoodDesc = state.riskMatrix.likelihood.find(l => l.id === consequence.risk.likelihoodLevel);
-          riskDesc.textContent = `${consequence.risk.severityLevel}(${categoryCapitalized})-${likelihoodDesc?.label || consequence.risk.likelihoodLevel}`;
+          riskDesc.textContent = `${consequence.risk.severityLevel}(${categoryLabel})-${likelihoodDesc?.label || consequence.risk.likelihoodLevel}`;
         } else if (consequence.risk.severityLevel) {
-          const severityCategory = consequence.risk.severityCategory || 'Unknown';
-          const categoryCapitalized = severityCategory.charAt(0).toUpperCase() + severityCategory.slice(1);
-          riskDesc.textContent = `${consequence.risk.severityLevel}(${categoryCapitalized})`;
+          const categoryLabel = getSeverityCategoryLabel(consequence.risk.severityCategory) || 'Unknown';
+          riskDesc.textContent = `${consequence.risk.severityLevel}(${categoryLabel})`;
         } else if (consequence.risk.likelihoodLevel) {
           const likelihoodDesc = state.riskMatrix.likelihood.find(l => l.id === consequence.risk.likelihoodLevel);
           riskDesc.textContent = `${likelihoodDesc?.label || consequence.risk.likelihoodLevel}`;
@@ -1769,17 +6428,32 @@
         
         svg.appendChild(riskDesc);
       }
+
+      // Risk reduction from initial to residual ranking, below the consequence box
+      const reduction = describeRiskReduction(consequence);
+      if (reduction) {
+        const reductionText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        reductionText.setAttribute('x', rightX);
+        reductionText.setAttribute('y', rectY + rectHeight + 12);
+        reductionText.setAttribute('class', 'bowtie-reduction-text');
+        reductionText.setAttribute('text-anchor', 'middle');
+        reductionText.setAttribute('dominant-baseline', 'middle');
+        reductionText.textContent = `Risk: ${reduction}`;
+        svg.appendChild(reductionText);
+      }
       
-      // Line from hazard to consequence
+      // Line from hazard to consequence; highlighted when recommendations address the consequence
+      const consequenceRecos = getRecommendationsFor(hazard, 'consequence', consequence.id);
       const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
       line.setAttribute('x1', centerX + 60);
       line.setAttribute('y1', centerY);
       line.setAttribute('x2', rightX - 50);
       line.setAttribute('y2', consY);
-      line.setAttribute('stroke', bowtieColors.line);
-      line.setAttribute('stroke-width', '2');
+      line.setAttribute('stroke', consequenceRecos.length > 0 ? recommendationColor : bowtieColors.line);
+      line.setAttribute('stroke-width', consequenceRecos.length > 0 ? '4' : '2');
       line.setAttribute('fill', 'none');
       svg.appendChild(line);
+      drawRecommendationMarker(consequenceRecos, rightX, rectY - 12);
       
       // Mitigation measures on the line
       const measures = consequence.mitigationMeasures || [];
@@ -1792,7 +6466,7 @@
         measureCircle.setAttribute('cx', measureX);
         measureCircle.setAttribute('cy', measureY);
         measureCircle.setAttribute('r', 25);
-        measureCircle.setAttribute('fill', bowtieColors.measure.fill);
+        measureCircle.setAttribute('fill', measureFill(measure));
         measureCircle.setAttribute('stroke', bowtieColors.measure.stroke);
         measureCircle.setAttribute('stroke-width', '1');
         svg.appendChild(measureCircle);
@@ -1804,19 +6478,21 @@
         measureText.setAttribute('class', 'bowtie-measure-text');
         measureText.setAttribute('text-anchor', 'middle');
         measureText.setAttribute('dominant-baseline', 'middle');
-        measureText.textContent = measure.text || 'Mitigation measure';
+        measureText.textContent = getMeasureText(measure) || 'Mitigation measure';
         svg.appendChild(measureText);
+        drawRecommendationMarker(getRecommendationsFor(hazard, 'measure', measure.id), measureX, measureY - 36);
+        drawEscalationFactors(measure, measureX, measureY);
         
         // Tooltip for measure
         const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-        title.textContent = measure.text || 'Mitigation measure';
+        title.textContent = describeMeasure(measure, 'Mitigation measure');
         measureCircle.appendChild(title);
         
         // Add mouse events for better tooltip support
         measureCircle.addEventListener('mouseenter', (e) => {
           const tooltip = document.createElement('div');
           tooltip.className = 'bowtie-tooltip';
-          tooltip.textContent = measure.text || 'Mitigation measure';
+          tooltip.textContent = describeMeasure(measure, 'Mitigation measure');
           tooltip.style.position = 'absolute';
           tooltip.style.background = '#333';
           tooltip.style.color = 'white';
@@ -1848,6 +6524,9 @@
       });
     });
     
+    // Escalation factors may hang below the default height
+    svg.setAttribute('viewBox', `0 0 ${width} ${diagramBottom}`);
+
     // Show modal
     modal.style.display = 'block';
   }
@@ -1864,6 +6543,20 @@
     const exportPngBtn = document.getElementById('export-bowtie-png');
     const exportSvgBtn = document.getElementById('export-bowtie-svg');
 
+    const coloringSelect = byId('bowtie-measure-coloring');
+    coloringSelect.append(
+      createEl('option', { value: '', text: 'Measure colour' }),
+      ...BARRIER_ATTRIBUTES.filter(a => a.values).map(a => createEl('option', { value: a.key, text: a.label }))
+    );
+    byId('bowtie-top-event').addEventListener('change', (e) => {
+      state.bowtieTopEventId = e.target.value;
+      if (state.hazards[state.bowtieHazardIndex]) showBowtieDiagram(state.bowtieHazardIndex);
+    });
+    coloringSelect.addEventListener('change', (e) => {
+      state.bowtieMeasureColoring = e.target.value;
+      if (state.hazards[state.bowtieHazardIndex]) showBowtieDiagram(state.bowtieHazardIndex);
+    });
+
     closeBtn.onclick = closeBowtieModal;
     exportPngBtn.onclick = exportBowtieToPNG;
     exportSvgBtn.onclick = exportBowtieToSVG;
@@ -1878,6 +6571,7 @@
   // Bow-tie colors management
   function loadBowtieColorsFromJSON(jsonData) {
     try {
+      editHistory.record('Import bow-tie colors');
       state.bowtieColors = jsonData;
       scheduleSave();
       alert('Bow-tie colors loaded successfully!');
@@ -1892,6 +6586,9 @@
       cause: { fill: '#74b9ff', stroke: '#0984e3' },
       consequence: { fill: '#fd79a8', stroke: '#e84393' },
       measure: { fill: '#55a3ff', stroke: '#2d3436' },
+      escalationFactor: { fill: '#ffeaa7', stroke: '#e17055' },
+      escalationControl: { fill: '#dfe6e9', stroke: '#2d3436' },
+      topEvent: { fill: '#fdcb6e', stroke: '#e17055' },
       line: '#636e72',
       measureLine: '#55a3ff'
     };
@@ -1908,6 +6605,7 @@
 
   function loadDefaultBowtieColors() {
     if (confirm('Load default bow-tie colors? This will replace your current color scheme.')) {
+      editHistory.record('Load default bow-tie colors');
       state.bowtieColors = null; // Reset to defaults
       scheduleSave();
       alert('Default bow-tie colors loaded!');
@@ -1916,9 +6614,18 @@
 
   // Export bowtie diagram to PNG
   function exportBowtieToPNG() {
-    const svg = document.getElementById('bowtie-svg');
+    exportSvgToPNG(document.getElementById('bowtie-svg'), 'bowtie-diagram', 'bowtie diagram');
+  }
+
+  // Export bowtie diagram to SVG
+  function exportBowtieToSVG() {
+    exportSvgToSVG(document.getElementById('bowtie-svg'), 'bowtie-diagram', 'bowtie diagram');
+  }
+
+  // Diagram downloads shared by the bow-tie and the risk heat map
+  function exportSvgToPNG(svg, fileBase, what) {
     if (!svg) {
-      alert('No bowtie diagram to export');
+      alert(`No ${what} to export`);
       return;
     }
 
@@ -1959,7 +6666,7 @@
           const downloadUrl = URL.createObjectURL(blob);
           const a = document.createElement('a');
           a.href = downloadUrl;
-          a.download = `bowtie-diagram-${new Date().toISOString().slice(0, 10)}.png`;
+          a.download = `${fileBase}-${new Date().toISOString().slice(0, 10)}.png`;
           document.body.appendChild(a);
           a.click();
           document.body.removeChild(a);
@@ -1971,7 +6678,7 @@
       };
       
       img.onerror = () => {
-        alert('Failed to export bowtie diagram. Please try again.');
+        alert(`Failed to export ${what}. Please try again.`);
         URL.revokeObjectURL(url);
       };
       
@@ -1979,15 +6686,13 @@
       
     } catch (error) {
       console.error('Export error:', error);
-      alert('Failed to export bowtie diagram: ' + error.message);
+      alert(`Failed to export ${what}: ` + error.message);
     }
   }
 
-  // Export bowtie diagram to SVG
-  function exportBowtieToSVG() {
-    const svg = document.getElementById('bowtie-svg');
+  function exportSvgToSVG(svg, fileBase, what) {
     if (!svg) {
-      alert('No bowtie diagram to export');
+      alert(`No ${what} to export`);
       return;
     }
 
@@ -2011,7 +6716,7 @@
       const url = URL.createObjectURL(svgBlob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `bowtie-diagram-${new Date().toISOString().slice(0, 10)}.svg`;
+      a.download = `${fileBase}-${new Date().toISOString().slice(0, 10)}.svg`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
@@ -2019,7 +6724,7 @@
       
     } catch (error) {
       console.error('SVG export error:', error);
-      alert('Failed to export bowtie diagram as SVG: ' + error.message);
+      alert(`Failed to export ${what} as SVG: ` + error.message);
     }
   }
 